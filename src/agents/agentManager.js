@@ -1,11 +1,29 @@
-import { GeminiClient } from './geminiClient.js';
+import { createProvider } from './providers.js';
+import { Cassette } from './cassette.js';
 import {
   overseerPrompt,
   leaderPrompt,
   thinkerPrompt,
   strategistPrompt,
-  actionResolutionPrompt
+  historianPrompt,
+  actionResolutionPrompt,
+  narrationPrompt,
+  negotiationPrompt,
+  memoryCondensationPrompt,
+  repairPrompt
 } from './prompts.js';
+import { validateAgentOutput } from './schemas.js';
+import { describeActiveWars } from '../engine/wars.js';
+import { mapWithConcurrency, DEFAULT_CONCURRENCY } from '../utils/concurrency.js';
+import { UsageTracker } from './usage.js';
+import {
+  buildTickMemories,
+  rankMemories,
+  MAX_MEMORIES,
+  CONDENSE_THRESHOLD,
+  CONDENSE_BATCH,
+  MAX_SUMMARIES
+} from './memory.js';
 
 export class AgentManager {
   constructor(simulationId, db) {
@@ -13,11 +31,29 @@ export class AgentManager {
     this.db = db;
     this.clients = new Map();
     this.agentConfig = null;
+    this.concurrency = DEFAULT_CONCURRENCY;
+    this.usage = new UsageTracker(db, simulationId);
   }
 
   async initialize() {
     if (this.clients.size > 0) return; // Already initialized
 
+    await this.loadClients();
+
+    console.log(`✅ Initialized ${this.clients.size} agents for simulation ${this.simulationId}`);
+  }
+
+  /**
+   * Rebuilds agent clients from the stored configuration, e.g. after a key
+   * rotation. The client map is swapped in one step, so calls already in
+   * flight finish with their old client and later calls use the new one.
+   */
+  async reloadClients() {
+    await this.loadClients();
+    console.log(`🔑 Reloaded ${this.clients.size} agents for simulation ${this.simulationId}`);
+  }
+
+  async loadClients() {
     const config = await this.db.collection('agent_configs')
       .findOne({ simulationId: this.simulationId });
 
@@ -26,11 +62,19 @@ export class AgentManager {
     }
 
     this.agentConfig = config;
+    this.concurrency = config.concurrency || DEFAULT_CONCURRENCY;
+    // Keep the cassette across reloads so per-tick call sequences stay intact
+    this.cassette = this.cassette || new Cassette(this.db, this.simulationId, config.cassette);
+
+    const clients = new Map();
 
     for (const agent of config.agents) {
       try {
-        this.clients.set(agent.id, {
-          client: new GeminiClient(agent.apiKey),
+        // Replayed agents never reach the model, so no provider is needed
+        const provider = this.cassette.isReplay ? null : createProvider(agent);
+
+        clients.set(agent.id, {
+          client: this.cassette.wrap(agent, provider),
           config: agent
         });
       } catch (error) {
@@ -38,15 +82,15 @@ export class AgentManager {
       }
     }
 
-    console.log(`✅ Initialized ${this.clients.size} agents for simulation ${this.simulationId}`);
+    this.clients = clients;
   }
 
-  async collectDecisions(worldState) {
+  async collectDecisions(worldState, onDecision = null) {
     if (this.clients.size === 0) await this.initialize();
 
-    const decisions = [];
+    const memories = await this.loadMemories();
+    const leaders = [];
 
-    // Collect decisions from all leader agents
     for (const [agentId, { client, config }] of this.clients.entries()) {
       if (config.role !== 'LEADER') continue;
 
@@ -63,40 +107,54 @@ export class AgentManager {
         continue;
       }
 
+      leaders.push({ agentId, client, config, country });
+    }
+
+    // Leaders decide independently, so their calls run concurrently; results keep agent order
+    return mapWithConcurrency(leaders, this.concurrency, async ({ agentId, client, config, country }) => {
+      let decision;
+
       try {
-        const prompt = leaderPrompt(country, worldState, worldState.tick);
-        const decision = await client.callWithRetry(prompt);
-
-        if (decision.error) {
-          console.error(`❌ Agent ${agentId} (${country.name}) failed to make decision:`, decision.error);
-          // Make a safe default decision
-          decisions.push({
-            agentId,
-            actorId: config.countryId,
-            action: 'INTERNAL',
-            specificAction: 'stabilize',
-            target: null,
-            details: 'Emergency stabilization measures',
-            reasoning: 'AI agent unavailable, default action',
-            expectedOutcome: 'Maintain status quo',
-            risks: 'None'
-          });
-        } else {
-          decisions.push({
-            agentId,
-            actorId: config.countryId,
-            apiKey: config.apiKey, // Pass for resolution
-            ...decision
-          });
-          
-          console.log(`✅ ${country.name}: ${decision.specificAction} ${decision.target ? `→ ${decision.target}` : ''}`);
-        }
+        const memory = memories.get(agentId);
+        const prompt = leaderPrompt(country, worldState, worldState.tick, {
+          summaries: memory?.summaries || [],
+          memories: rankMemories(memory?.memories || [], country, worldState)
+        });
+        const response = await this.callValidated(agentId, client, prompt, {
+          phase: 'decision',
+          worldState,
+          country
+        });
+
+        decision = {
+          agentId,
+          actorId: config.countryId,
+          ...response
+        };
+
+        console.log(`✅ ${country.name}: ${response.specificAction} ${response.target ? `→ ${response.target}` : ''}`);
       } catch (error) {
-        console.error(`❌ Error collecting decision from ${agentId}:`, error.message);
+        console.error(`❌ Agent ${agentId} (${country.name}) failed to make decision:`, error.message);
+        // Make a safe default decision
+        decision = {
+          agentId,
+          actorId: config.countryId,
+          action: 'INTERNAL',
+          specificAction: 'stabilize',
+          target: null,
+          details: 'Emergency stabilization measures',
+          reasoning: 'AI agent unavailable, default action',
+          expectedOutcome: 'Maintain status quo',
+          risks: 'None'
+        };
+      }
+
+      if (onDecision) {
+        onDecision(decision);
       }
-    }
 
-    return decisions;
+      return decision;
+    });
   }
 
   async getOverseerAnalysis(worldState) {
@@ -115,11 +173,10 @@ export class AgentManager {
 
     try {
       const prompt = overseerPrompt(worldState, worldState.tick);
-      const analysis = await overseer.client.callWithRetry(prompt);
-
-      if (analysis.error) {
-        throw new Error(analysis.error);
-      }
+      const analysis = await this.callValidated('overseer', overseer.client, prompt, {
+        phase: 'overseer',
+        worldState
+      });
 
       console.log(`📊 Overseer Analysis: Stability Index = ${analysis.stabilityIndex}/100`);
       return analysis;
@@ -144,11 +201,11 @@ export class AgentManager {
 
     try {
       const prompt = thinkerPrompt(worldState, recentEvents);
-      const commentary = await thinker.client.callWithRetry(prompt);
-
-      if (commentary.error) {
-        throw new Error(commentary.error);
-      }
+      const commentary = await this.callValidated('thinker', thinker.client, prompt, {
+        phase: 'thinker',
+        worldState,
+        recentEvents
+      });
 
       console.log(`💭 Philosophical Insight: ${commentary.philosophicalQuestion}`);
       return commentary;
@@ -166,21 +223,15 @@ export class AgentManager {
     }
 
     try {
-      // Find active conflicts
-      const activeConflicts = worldState.globalEvents
-        .filter(e => e.type === 'WAR' && worldState.tick - e.tick < 10)
-        .map(e => ({
-          attacker: e.actors[0],
-          defender: e.actors[1],
-          startYear: e.year
-        }));
+      // Active conflicts come from the war registry
+      const activeConflicts = describeActiveWars(worldState);
 
       const prompt = strategistPrompt(worldState, activeConflicts);
-      const analysis = await strategist.client.callWithRetry(prompt);
-
-      if (analysis.error) {
-        throw new Error(analysis.error);
-      }
+      const analysis = await this.callValidated('strategist', strategist.client, prompt, {
+        phase: 'strategist',
+        worldState,
+        activeConflicts
+      });
 
       return analysis;
     } catch (error) {
@@ -189,18 +240,53 @@ export class AgentManager {
     }
   }
 
+  /**
+   * Chapter of the history book for one window of years, or null when no
+   * historian is configured or it fails
+   */
+  async writeHistoryChapter(worldState, window, { rewrite = false } = {}) {
+    if (this.clients.size === 0) await this.initialize();
+
+    const historian = this.clients.get('historian');
+    if (!historian) {
+      return null;
+    }
+
+    try {
+      const prompt = historianPrompt(worldState, window);
+      // Rewrites are not part of any tick: usage is recorded without a tick and
+      // the cassette keys them apart from the tick in progress
+      const chapter = await this.callValidated('historian', historian.client, prompt, {
+        phase: 'historian',
+        worldState: rewrite ? { ...worldState, tick: null } : worldState,
+        window,
+        rewrite
+      });
+
+      console.log(`📜 Historian wrote "${chapter.title}" (years ${window.fromYear}-${window.toYear})`);
+      return chapter;
+    } catch (error) {
+      console.error('❌ Historian chapter failed:', error.message);
+      return null;
+    }
+  }
+
   async resolveAction(decision, worldState, actorConfig) {
     try {
       const prompt = actionResolutionPrompt(decision, worldState, actorConfig);
       
-      // Use the actor's API key for resolution to distribute load
-      const client = new GeminiClient(actorConfig.apiKey);
-      const result = await client.callWithRetry(prompt);
-
-      if (result.error) {
-        throw new Error(result.error);
+      // Use the actor's own client for resolution to distribute load
+      const actor = this.clients.get(actorConfig.id);
+      if (!actor) {
+        throw new Error(`No client initialized for agent ${actorConfig.id}`);
       }
 
+      const result = await this.callValidated(actorConfig.id, actor.client, prompt, {
+        phase: 'resolution',
+        worldState,
+        decision
+      });
+
       return result;
     } catch (error) {
       console.error('❌ Action resolution failed:', error.message);
@@ -217,7 +303,272 @@ export class AgentManager {
     }
   }
 
-  async updateAgentMemory(agentId, event) {
+  /**
+   * Hybrid resolution: the model narrates an outcome the rules already decided.
+   * Falls back to the rules' own description if the model fails.
+   */
+  async narrateResolution(decision, worldState, actorConfig, outcome) {
+    try {
+      const actor = this.clients.get(actorConfig.id);
+      if (!actor) {
+        throw new Error(`No client initialized for agent ${actorConfig.id}`);
+      }
+
+      const prompt = narrationPrompt(decision, worldState, outcome);
+      return await this.callValidated(actorConfig.id, actor.client, prompt, {
+        phase: 'narration',
+        worldState,
+        decision,
+        outcome
+      });
+    } catch (error) {
+      console.error('❌ Resolution narration failed:', error.message);
+      return {
+        description: outcome.description,
+        unintendedConsequences: outcome.unintendedConsequences
+      };
+    }
+  }
+
+  /**
+   * Runs a bounded negotiation between the proposing leader and the target's
+   * leader. The target answers first; each counter-offer passes the turn to
+   * the other side. Returns null when the target has no leader agent,
+   * otherwise { outcome: AGREED|REJECTED|EXPIRED, terms, rounds }.
+   */
+  async negotiate(decision, worldState, maxRounds = 3) {
+    if (this.clients.size === 0) await this.initialize();
+
+    const proposer = this.findLeader(decision.actorId);
+    const responder = this.findLeader(decision.target);
+    if (!proposer || !responder) return null;
+
+    const rounds = [];
+
+    for (let round = 1; round <= maxRounds; round++) {
+      // The target answers odd rounds, the proposer answers its counter-offers
+      const [speaker, other] = round % 2 === 1 ? [responder, proposer] : [proposer, responder];
+      const country = worldState.countries.find(c => c.id === speaker.config.countryId);
+      const counterpart = worldState.countries.find(c => c.id === other.config.countryId);
+
+      let reply;
+      try {
+        const prompt = negotiationPrompt(country, counterpart, decision, rounds, round, maxRounds, worldState);
+        reply = await this.callValidated(speaker.config.id, speaker.client, prompt, {
+          phase: 'negotiation',
+          worldState,
+          decision,
+          country,
+          counterpart,
+          history: rounds,
+          round,
+          maxRounds
+        });
+      } catch (error) {
+        console.error(`❌ Negotiation failed for ${speaker.config.id}:`, error.message);
+        reply = { response: 'REJECT', terms: 'No response', reasoning: 'Negotiator unavailable' };
+      }
+
+      rounds.push({
+        round,
+        from: country.id,
+        fromName: country.name,
+        response: reply.response,
+        terms: reply.terms,
+        reasoning: reply.reasoning
+      });
+
+      console.log(`🗣️ ${country.name} (round ${round}): ${reply.response}`);
+
+      if (reply.response === 'ACCEPT') {
+        const offered = rounds.length > 1 ? rounds[rounds.length - 2].terms : decision.details;
+        return { outcome: 'AGREED', terms: offered, rounds };
+      }
+      if (reply.response === 'REJECT') {
+        return { outcome: 'REJECTED', terms: null, rounds };
+      }
+    }
+
+    return { outcome: 'EXPIRED', terms: null, rounds };
+  }
+
+  findLeader(countryId) {
+    for (const entry of this.clients.values()) {
+      if (entry.config.role === 'LEADER' && entry.config.countryId === countryId) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Calls an agent and validates its output against the phase schema.
+   * Invalid responses are re-prompted with the validation errors; if the
+   * agent still fails after maxRepairs attempts an error is thrown so the
+   * caller can fall back to its default.
+   */
+  async callValidated(agentId, client, prompt, context, maxRepairs = 2) {
+    let currentPrompt = prompt;
+
+    for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+      const usage = [];
+      const response = await client.callWithRetry(currentPrompt, '', 3, {
+        ...context,
+        onUsage: (entry) => usage.push(entry)
+      });
+      await this.recordUsage(agentId, context, usage);
+
+      const { valid, errors } = validateAgentOutput(context.phase, response, context);
+
+      if (valid) {
+        return response;
+      }
+
+      console.warn(`⚠️ Invalid ${context.phase} output from ${agentId} (attempt ${attempt + 1}/${maxRepairs + 1}): ${errors.join('; ')}`);
+      await this.recordValidationFailure(agentId, context.phase);
+
+      currentPrompt = repairPrompt(prompt, response, errors);
+    }
+
+    throw new Error(`Invalid ${context.phase} output after ${maxRepairs} repair attempts`);
+  }
+
+  async recordUsage(agentId, context, entries) {
+    const role = this.clients.get(agentId)?.config.role || 'UNKNOWN';
+
+    for (const entry of entries) {
+      await this.usage.record({
+        tick: context.worldState?.tick ?? null,
+        agentId,
+        role,
+        phase: context.phase,
+        ...entry
+      });
+    }
+  }
+
+  async recordValidationFailure(agentId, phase) {
+    try {
+      await this.db.collection('agent_configs').updateOne(
+        {
+          simulationId: this.simulationId,
+          'agents.id': agentId
+        },
+        {
+          $inc: {
+            'agents.$.validationFailures.total': 1,
+            [`agents.$.validationFailures.${phase}`]: 1
+          }
+        }
+      );
+    } catch (error) {
+      console.error(`❌ Failed to record validation failure for agent ${agentId}:`, error.message);
+    }
+  }
+
+  /**
+   * Current raw memories and summaries of every agent, keyed by agent id
+   */
+  async loadMemories() {
+    const memories = new Map();
+
+    try {
+      const config = await this.db.collection('agent_configs')
+        .findOne({ simulationId: this.simulationId });
+
+      for (const agent of config?.agents || []) {
+        memories.set(agent.id, {
+          memories: agent.memory || [],
+          summaries: agent.memorySummaries || []
+        });
+      }
+    } catch (error) {
+      console.error('❌ Failed to load agent memories:', error.message);
+    }
+
+    return memories;
+  }
+
+  /**
+   * Writes each leader's decision, its outcome and events involving its nation to memory
+   */
+  async recordLeaderMemories(worldState, decisions, events) {
+    for (const [agentId, { config }] of this.clients.entries()) {
+      if (config.role !== 'LEADER') continue;
+
+      const country = worldState.countries.find(c => c.id === config.countryId);
+      if (!country) continue;
+
+      const decision = decisions.find(d => d.agentId === agentId);
+      const entries = buildTickMemories(country, worldState, decision, events);
+
+      if (entries.length > 0) {
+        await this.updateAgentMemory(agentId, entries);
+      }
+    }
+  }
+
+  /**
+   * Condenses the oldest raw memories of leaders past CONDENSE_THRESHOLD into a summary
+   */
+  async condenseMemories(worldState) {
+    const memories = await this.loadMemories();
+
+    for (const [agentId, { memories: raw }] of memories.entries()) {
+      const entry = this.clients.get(agentId);
+      if (!entry || entry.config.role !== 'LEADER' || raw.length < CONDENSE_THRESHOLD) continue;
+
+      const country = worldState.countries.find(c => c.id === entry.config.countryId);
+      if (!country) continue;
+
+      const batch = raw.slice(0, CONDENSE_BATCH);
+      let condensed;
+
+      try {
+        const prompt = memoryCondensationPrompt(country, batch);
+        condensed = await this.callValidated(agentId, entry.client, prompt, {
+          phase: 'memory',
+          worldState,
+          country,
+          memories: batch
+        });
+      } catch (error) {
+        console.error(`❌ Memory condensation failed for ${agentId}:`, error.message);
+
+        // Keep the most important recollections verbatim rather than losing them
+        const notable = [...batch].sort((a, b) => b.importance - a.importance).slice(0, 3);
+        condensed = { summary: notable.map(m => m.text).join(' '), lessons: [] };
+      }
+
+      try {
+        await this.db.collection('agent_configs').updateOne(
+          { simulationId: this.simulationId, 'agents.id': agentId },
+          {
+            $set: { 'agents.$.memory': raw.slice(CONDENSE_BATCH) },
+            $push: {
+              'agents.$.memorySummaries': {
+                $each: [{
+                  fromTick: batch[0].tick,
+                  toTick: batch[batch.length - 1].tick,
+                  fromYear: batch[0].year,
+                  toYear: batch[batch.length - 1].year,
+                  summary: condensed.summary,
+                  lessons: condensed.lessons
+                }],
+                $slice: -MAX_SUMMARIES
+              }
+            }
+          }
+        );
+
+        console.log(`🧠 Condensed ${batch.length} memories for ${country.name}`);
+      } catch (error) {
+        console.error(`❌ Failed to store memory summary for ${agentId}:`, error.message);
+      }
+    }
+  }
+
+  async updateAgentMemory(agentId, entries) {
     try {
       await this.db.collection('agent_configs').updateOne(
         { 
@@ -227,8 +578,8 @@ export class AgentManager {
         {
           $push: {
             'agents.$.memory': {
-              $each: [event],
-              $slice: -20 // Keep only last 20 memories
+              $each: [].concat(entries),
+              $slice: -MAX_MEMORIES // Bounded even if condensation falls behind
             }
           }
         }
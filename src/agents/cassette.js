@@ -0,0 +1,114 @@
+/**
+ * Record-and-replay cassettes for agent LLM calls.
+ *
+ * Every call is keyed by simulation, tick, agent, phase and its sequence
+ * number within that tick. In `record` mode responses are written to the
+ * `agent_cassettes` collection as they happen; in `replay` mode the stored
+ * responses of a source simulation are served instead of calling the model.
+ */
+export const CASSETTE_MODES = ['record', 'replay', 'off'];
+
+function nextSequence(counters, agentId, phase) {
+  const counterKey = `${agentId}:${phase}`;
+  const sequence = counters.get(counterKey) || 0;
+  counters.set(counterKey, sequence + 1);
+  return sequence;
+}
+
+export class Cassette {
+  constructor(db, simulationId, options = {}) {
+    this.db = db;
+    this.simulationId = simulationId;
+    this.mode = options.mode || 'record';
+    this.sourceSimulationId = options.sourceSimulationId || simulationId;
+    this.sequences = new Map();
+    this.sequenceTick = null;
+    this.rewriteSequences = new Map();
+  }
+
+  get isReplay() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Wraps an agent's provider so its calls are recorded or replayed
+   */
+  wrap(agent, provider) {
+    if (this.mode === 'off') return provider;
+
+    const cassette = this;
+    const invoke = async (prompt, systemInstruction, maxRetries, context = {}) => {
+      const key = cassette.nextKey(agent, context);
+
+      if (cassette.isReplay) {
+        return cassette.play(key);
+      }
+
+      const response = await provider.callWithRetry(prompt, systemInstruction, maxRetries, context);
+      await cassette.record(key, agent, prompt, response);
+      return response;
+    };
+
+    return {
+      name: cassette.isReplay ? 'replay' : provider.name,
+      call: (prompt, systemInstruction = '', context = {}) => invoke(prompt, systemInstruction, 1, context),
+      callWithRetry: (prompt, systemInstruction = '', maxRetries = 3, context = {}) =>
+        invoke(prompt, systemInstruction, maxRetries, context)
+    };
+  }
+
+  nextKey(agent, context) {
+    const phase = context.phase || 'unknown';
+
+    // Rewrites (e.g. of history chapters) may run while a tick is in progress;
+    // they are numbered in their own key space so the tick's sequence is untouched
+    if (context.rewrite) {
+      return {
+        tick: null,
+        agentId: agent.id,
+        phase: `${phase}_rewrite`,
+        sequence: nextSequence(this.rewriteSequences, agent.id, phase)
+      };
+    }
+
+    const tick = context.worldState?.tick ?? null;
+
+    // Sequence numbers restart every tick
+    if (tick !== this.sequenceTick) {
+      this.sequences.clear();
+      this.sequenceTick = tick;
+    }
+
+    return { tick, agentId: agent.id, phase, sequence: nextSequence(this.sequences, agent.id, phase) };
+  }
+
+  async record(key, agent, prompt, response) {
+    try {
+      await this.db.collection('agent_cassettes').insertOne({
+        simulationId: this.simulationId,
+        ...key,
+        role: agent.role,
+        prompt,
+        response,
+        recordedAt: new Date()
+      });
+    } catch (error) {
+      console.error(`❌ Failed to record cassette for ${agent.id}:`, error.message);
+    }
+  }
+
+  async play(key) {
+    const entry = await this.db.collection('agent_cassettes').findOne({
+      simulationId: this.sourceSimulationId,
+      ...key
+    });
+
+    if (!entry) {
+      throw new Error(
+        `No cassette entry for ${key.agentId} ${key.phase} #${key.sequence} at tick ${key.tick} in ${this.sourceSimulationId}`
+      );
+    }
+
+    return JSON.parse(JSON.stringify(entry.response));
+  }
+}
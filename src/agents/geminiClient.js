@@ -1,13 +1,18 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { LLMProvider } from './llmProvider.js';
+import { redactSecrets } from '../utils/secrets.js';
 
-export class GeminiClient {
-  constructor(apiKey) {
+export class GeminiClient extends LLMProvider {
+  constructor(apiKey, rateLimiter = null) {
+    super('gemini', rateLimiter);
     if (!apiKey) {
       throw new Error('Gemini API key is required');
     }
+    this.apiKey = apiKey;
     this.genAI = new GoogleGenerativeAI(apiKey);
-    this.model = this.genAI.getGenerativeModel({ 
-      model: 'gemini-2.5-flash',
+    this.modelName = 'gemini-2.5-flash';
+    this.model = this.genAI.getGenerativeModel({
+      model: this.modelName,
       generationConfig: {
         temperature: 0.9,
         topP: 0.95,
@@ -17,79 +22,51 @@ export class GeminiClient {
     });
   }
 
-  async call(prompt, systemInstruction = '') {
+  async call(prompt, systemInstruction = '', context = {}) {
     try {
-      const fullPrompt = systemInstruction 
-        ? `${systemInstruction}\n\n${prompt}` 
+      const fullPrompt = systemInstruction
+        ? `${systemInstruction}\n\n${prompt}`
         : prompt;
-      
+
       const result = await this.model.generateContent(fullPrompt);
       const text = result.response.text();
-      
-      // Try to extract JSON from markdown code blocks
-      let cleanedText = text.trim();
-      
-      // Remove markdown code fences
-      if (cleanedText.startsWith('```json')) {
-        cleanedText = cleanedText.slice(7);
-      } else if (cleanedText.startsWith('```')) {
-        cleanedText = cleanedText.slice(3);
-      }
-      
-      if (cleanedText.endsWith('```')) {
-        cleanedText = cleanedText.slice(0, -3);
-      }
-      
-      cleanedText = cleanedText.trim();
-      
-      // Try to parse as JSON
-      if (cleanedText.startsWith('{') || cleanedText.startsWith('[')) {
-        try {
-          return JSON.parse(cleanedText);
-        } catch (parseError) {
-          console.warn('Failed to parse JSON response:', parseError.message);
-          return { raw: text, parseError: true };
-        }
-      }
-      
-      return { raw: text };
+
+      // Thinking tokens are billed as output
+      const usage = result.response.usageMetadata || {};
+      this.reportUsage(context, {
+        model: this.modelName,
+        promptTokens: usage.promptTokenCount || 0,
+        outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0)
+      });
+
+      return this.parseResponse(text);
     } catch (error) {
-      console.error('❌ Gemini API Error:', error.message);
-      
+      // Request errors can echo the URL or headers; never let the key through
+      const message = redactSecrets(error.message, [this.apiKey]);
+      console.error('❌ Gemini API Error:', message);
+
       // Handle rate limiting
-      if (error.message.includes('429') || error.message.includes('quota')) {
-        return { 
+      if (message.includes('429') || message.includes('quota')) {
+        return {
           error: 'RATE_LIMIT',
           message: 'API rate limit reached. Waiting before retry.',
-          shouldRetry: true
+          shouldRetry: true,
+          retryAfterMs: this.parseRetryDelay(message)
         };
       }
-      
-      return { 
-        error: error.message,
+
+      return {
+        error: message,
         shouldRetry: false
       };
     }
   }
 
-  async callWithRetry(prompt, systemInstruction = '', maxRetries = 3) {
-    for (let i = 0; i < maxRetries; i++) {
-      const result = await this.call(prompt, systemInstruction);
-      
-      if (!result.error) {
-        return result;
-      }
-      
-      if (!result.shouldRetry) {
-        throw new Error(result.error);
-      }
-      
-      // Exponential backoff
-      const waitTime = Math.pow(2, i) * 1000;
-      console.log(`⏳ Waiting ${waitTime}ms before retry ${i + 1}/${maxRetries}`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-    
-    throw new Error('Max retries reached for Gemini API call');
+  /**
+   * Reads the server's suggested delay ("retry in 37.5s" / "retryDelay":"37s"), if any
+   */
+  parseRetryDelay(message) {
+    const match = message.match(/retry(?:Delay"?:?\s*"?| in\s+)(\d+(?:\.\d+)?)s/i);
+    return match ? Math.ceil(Number(match[1]) * 1000) : null;
   }
 }
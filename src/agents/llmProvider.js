@@ -0,0 +1,90 @@
+/**
+ * Base class for LLM providers used by simulation agents.
+ *
+ * Subclasses implement call(), which returns either the parsed JSON response,
+ * `{ raw }` / `{ raw, parseError }` for non-JSON text, or
+ * `{ error, shouldRetry, retryAfterMs }` when the request itself failed.
+ * Token usage is reported through the optional `context.onUsage` hook.
+ * Providers backed by an API key pass that key's rate limiter, which paces
+ * every attempt.
+ */
+export class LLMProvider {
+  constructor(name, rateLimiter = null) {
+    this.name = name;
+    this.rateLimiter = rateLimiter;
+  }
+
+  async call(prompt, systemInstruction = '', context = {}) {
+    throw new Error(`Provider ${this.name} does not implement call()`);
+  }
+
+  async callWithRetry(prompt, systemInstruction = '', maxRetries = 3, context = {}) {
+    for (let i = 0; i < maxRetries; i++) {
+      if (this.rateLimiter) {
+        await this.rateLimiter.acquire();
+      }
+
+      const result = await this.call(prompt, systemInstruction, context);
+
+      if (!result.error) {
+        return result;
+      }
+
+      if (!result.shouldRetry) {
+        throw new Error(result.error);
+      }
+
+      console.log(`⏳ ${this.name} rate limited, retry ${i + 1}/${maxRetries}${result.retryAfterMs ? ` in ${result.retryAfterMs}ms` : ''}`);
+
+      // The limiter holds every caller on this key until the provider is ready again
+      if (this.rateLimiter) {
+        this.rateLimiter.penalize(result.retryAfterMs);
+      } else {
+        await new Promise(resolve => setTimeout(resolve, result.retryAfterMs || 1000));
+      }
+    }
+
+    throw new Error(`Max retries reached for ${this.name} API call`);
+  }
+
+  /**
+   * Passes one call's token usage to the caller, if it asked for it
+   */
+  reportUsage(context, { model, promptTokens = 0, outputTokens = 0 }) {
+    if (context?.onUsage) {
+      context.onUsage({ model, promptTokens, outputTokens });
+    }
+  }
+
+  /**
+   * Extracts JSON from a model's text output, tolerating markdown code fences
+   */
+  parseResponse(text) {
+    let cleanedText = text.trim();
+
+    // Remove markdown code fences
+    if (cleanedText.startsWith('```json')) {
+      cleanedText = cleanedText.slice(7);
+    } else if (cleanedText.startsWith('```')) {
+      cleanedText = cleanedText.slice(3);
+    }
+
+    if (cleanedText.endsWith('```')) {
+      cleanedText = cleanedText.slice(0, -3);
+    }
+
+    cleanedText = cleanedText.trim();
+
+    // Try to parse as JSON
+    if (cleanedText.startsWith('{') || cleanedText.startsWith('[')) {
+      try {
+        return JSON.parse(cleanedText);
+      } catch (parseError) {
+        console.warn('Failed to parse JSON response:', parseError.message);
+        return { raw: text, parseError: true };
+      }
+    }
+
+    return { raw: text };
+  }
+}
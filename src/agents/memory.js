@@ -0,0 +1,111 @@
+import { getEnemies } from '../engine/wars.js';
+import { getTradePartners } from '../engine/trade.js';
+
+/**
+ * Long-term leader memory.
+ *
+ * Each leader agent keeps raw memories (its decisions, their outcomes and
+ * events that involved its nation) plus condensed summaries of older ones.
+ * Once raw memories pass CONDENSE_THRESHOLD the oldest CONDENSE_BATCH are
+ * summarised by the agent's model; both lists are capped so memory stays
+ * bounded per agent.
+ */
+
+export const MAX_MEMORIES = 40;
+export const CONDENSE_THRESHOLD = 30;
+export const CONDENSE_BATCH = 20;
+export const MAX_SUMMARIES = 10;
+
+const RECENCY_HALF_LIFE = 10;
+
+// Events that leaders should not easily forget
+const EVENT_IMPORTANCE = {
+  WAR: 5,
+  WAR_ESCALATION: 4,
+  WAR_ENDED: 4,
+  ALLIANCE_BROKEN: 5,
+  TREATY: 4,
+  EMBARGO: 4,
+  TRADE_ENDED: 3,
+  TRADE_DISRUPTION: 2,
+  ESPIONAGE: 4,
+  COLLAPSE: 3,
+  ALLIANCE: 3,
+  TRADE_AGREEMENT: 3,
+  PEACE: 3
+};
+
+/**
+ * Builds this tick's memories for one leader from its decision and the tick's events
+ */
+export function buildTickMemories(country, worldState, decision, events) {
+  const memories = [];
+  const base = { tick: worldState.tick, year: worldState.year };
+  const nameOf = (id) => worldState.countries.find(c => c.id === id)?.name || id;
+
+  if (decision) {
+    memories.push({
+      ...base,
+      kind: 'DECISION',
+      actors: [decision.actorId, decision.target].filter(Boolean),
+      text: `We chose to ${decision.specificAction.replace(/_/g, ' ')}${decision.target ? ` toward ${nameOf(decision.target)}` : ''}: ${decision.details}`,
+      importance: decision.target ? 2 : 1
+    });
+  }
+
+  for (const event of events) {
+    if (!event.actors?.includes(country.id) && event.type !== 'COLLAPSE') continue;
+
+    // The resolved outcome of our own action
+    if (event.success !== undefined && event.actors[0] === country.id) {
+      memories.push({
+        ...base,
+        kind: 'OUTCOME',
+        actors: event.actors,
+        text: `Outcome (${event.successLevel || 'FAILURE'}): ${event.description}`,
+        importance: event.successLevel === 'BACKFIRE' ? 4 : event.success ? 2 : 3
+      });
+      continue;
+    }
+
+    memories.push({
+      ...base,
+      kind: 'EVENT',
+      type: event.type,
+      actors: event.actors,
+      text: event.description,
+      importance: EVENT_IMPORTANCE[event.type] || 2
+    });
+  }
+
+  return memories;
+}
+
+/**
+ * Ranks memories by importance, recency and how much the nations involved
+ * matter to the leader right now (enemies, allies, trade partners, rivals)
+ */
+export function rankMemories(memories, country, worldState, limit = 8) {
+  const relevant = new Set([
+    ...getEnemies(worldState, country.id),
+    ...(country.alliances || []),
+    ...getTradePartners(worldState, country.id),
+    ...Object.entries(country.tensions || {})
+      .filter(([, level]) => Math.abs(level) >= 50)
+      .map(([id]) => id)
+  ]);
+
+  const score = (memory) => {
+    const age = Math.max(0, worldState.tick - memory.tick);
+    const recency = Math.pow(0.5, age / RECENCY_HALF_LIFE);
+    const involvement = (memory.actors || []).some(id => id !== country.id && relevant.has(id)) ? 2 : 0;
+    return (memory.importance || 1) * recency + involvement;
+  };
+
+  return memories
+    .map(memory => ({ memory, score: score(memory) }))
+    .sort((a, b) => b.score - a.score || b.memory.tick - a.memory.tick)
+    .slice(0, limit)
+    .map(({ memory }) => memory)
+    .sort((a, b) => a.tick - b.tick);
+}
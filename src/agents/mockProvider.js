@@ -0,0 +1,391 @@
+import { LLMProvider } from './llmProvider.js';
+import { LEADER_ACTIONS, TARGETED_ACTIONS } from './schemas.js';
+import { hashString } from '../utils/random.js';
+import { getEnemies, getWarsForCountry } from '../engine/wars.js';
+import { getTradePartners } from '../engine/trade.js';
+
+/**
+ * Offline provider that returns deterministic, schema-valid agent responses.
+ *
+ * Responses are derived from the call context (phase, world state, country,
+ * decision) rather than the prompt text, so identical world states and
+ * seeds always produce identical answers. An agent config may also carry a `script`
+ * object mapping a phase to a list of canned responses, served in order
+ * before falling back to generated ones.
+ */
+export class MockProvider extends LLMProvider {
+  constructor(agent = {}) {
+    super('mock');
+    this.agentId = agent.id || 'mock';
+    this.script = agent.script || {};
+    this.scriptPositions = {};
+  }
+
+  async call(prompt, systemInstruction = '', context = {}) {
+    const response = this.respond(context);
+
+    // Rough token estimate (~4 characters per token) so usage accounting can be exercised offline
+    this.reportUsage(context, {
+      model: 'mock',
+      promptTokens: Math.ceil((systemInstruction.length + prompt.length) / 4),
+      outputTokens: Math.ceil(JSON.stringify(response).length / 4)
+    });
+
+    return response;
+  }
+
+  respond(context) {
+    const phase = context.phase;
+    const scripted = this.nextScripted(phase);
+    if (scripted) {
+      return JSON.parse(JSON.stringify(scripted));
+    }
+
+    switch (phase) {
+      case 'decision':
+        return this.leaderDecision(context);
+      case 'resolution':
+        return this.actionResolution(context);
+      case 'negotiation':
+        return this.negotiationResponse(context);
+      case 'memory':
+        return this.memorySummary(context);
+      case 'narration':
+        return this.narration(context);
+      case 'overseer':
+        return this.overseerAnalysis(context);
+      case 'thinker':
+        return this.thinkerCommentary(context);
+      case 'strategist':
+        return this.strategistAnalysis(context);
+      case 'historian':
+        return this.historianChapter(context);
+      default:
+        return { raw: `Mock response for ${this.agentId}` };
+    }
+  }
+
+  nextScripted(phase) {
+    const responses = this.script[phase];
+    if (!Array.isArray(responses) || responses.length === 0) return null;
+
+    const position = this.scriptPositions[phase] || 0;
+    this.scriptPositions[phase] = position + 1;
+    return responses[position % responses.length];
+  }
+
+  /**
+   * Returns a deterministic integer in [0, max) for the given key parts
+   */
+  pick(max, ...parts) {
+    return hashString([this.agentId, ...parts].join('|')) % max;
+  }
+
+  leaderDecision({ worldState, country }) {
+    const others = worldState.countries.filter(c => c.id !== country.id);
+    const tick = worldState.tick;
+
+    // Exhausted belligerents sue for peace with their first enemy
+    const tiredOfWar = getWarsForCountry(worldState, country.id)
+      .find(w => (w.exhaustion[country.id] || 0) >= 50);
+
+    let specificAction;
+    if (tiredOfWar) {
+      const enemyId = tiredOfWar.attackers.includes(country.id) ? tiredOfWar.defenders[0] : tiredOfWar.attackers[0];
+      return {
+        action: 'MILITARY',
+        specificAction: 'ceasefire',
+        target: enemyId,
+        details: `${country.name} seeks a ceasefire`,
+        reasoning: 'The war has exhausted the nation',
+        expectedOutcome: 'An end to hostilities',
+        risks: 'Appearing weak'
+      };
+    } else if (country.stability < 30) {
+      specificAction = 'stabilize';
+    } else if (country.resources < 25) {
+      specificAction = 'extract_resources';
+    } else {
+      const all = Object.values(LEADER_ACTIONS).flat();
+      specificAction = all[this.pick(all.length, worldState.seed, tick, country.id)];
+    }
+
+    let target = null;
+    if (TARGETED_ACTIONS.includes(specificAction)) {
+      if (others.length === 0) {
+        specificAction = 'stabilize';
+      } else if (specificAction === 'break_alliance' || specificAction === 'form_alliance') {
+        const allies = others.filter(c => country.alliances.includes(c.id));
+        const nonAllies = others.filter(c => !country.alliances.includes(c.id));
+        const pool = specificAction === 'break_alliance' ? allies : nonAllies;
+        if (pool.length === 0) {
+          specificAction = 'improve_relations';
+          target = others[this.pick(others.length, worldState.seed, tick, country.id, 'target')].id;
+        } else {
+          target = pool[this.pick(pool.length, worldState.seed, tick, country.id, 'target')].id;
+        }
+      } else if (specificAction === 'trade_agreement' || specificAction === 'embargo') {
+        const partners = getTradePartners(worldState, country.id);
+        const enemies = getEnemies(worldState, country.id);
+        const pool = specificAction === 'embargo'
+          ? others.filter(c => partners.includes(c.id))
+          : others.filter(c => !partners.includes(c.id) && !enemies.includes(c.id));
+        if (pool.length === 0) {
+          specificAction = 'improve_relations';
+          target = others[this.pick(others.length, worldState.seed, tick, country.id, 'target')].id;
+        } else {
+          target = pool[this.pick(pool.length, worldState.seed, tick, country.id, 'target')].id;
+        }
+      } else if (specificAction === 'ceasefire' && getEnemies(worldState, country.id).length === 0) {
+        specificAction = 'defend';
+      } else if (specificAction === 'ceasefire') {
+        target = getEnemies(worldState, country.id)[0];
+      } else {
+        // Hostile and neutral actions aim at the rival with the worst relations
+        const rival = others.reduce((prev, curr) =>
+          (country.tensions?.[curr.id] || 0) < (country.tensions?.[prev.id] || 0) ? curr : prev
+        );
+        target = rival.id;
+      }
+    }
+
+    const action = Object.keys(LEADER_ACTIONS).find(key => LEADER_ACTIONS[key].includes(specificAction));
+    const targetName = target ? worldState.countries.find(c => c.id === target)?.name : null;
+
+    return {
+      action,
+      specificAction,
+      target,
+      details: `${country.name} pursues ${specificAction.replace(/_/g, ' ')}${targetName ? ` toward ${targetName}` : ''}`,
+      reasoning: `Scripted policy for ${country.ideology}`,
+      expectedOutcome: 'Incremental advantage',
+      risks: 'Unforeseen reactions from rivals'
+    };
+  }
+
+  actionResolution({ worldState, decision }) {
+    const actorId = decision.actorId;
+    const roll = this.pick(100, worldState.seed, worldState.tick, actorId, decision.specificAction, decision.target || '');
+
+    let successLevel;
+    if (roll < 15) successLevel = 'BACKFIRE';
+    else if (roll < 40) successLevel = 'FAILURE';
+    else if (roll < 70) successLevel = 'PARTIAL';
+    else successLevel = 'COMPLETE';
+
+    const success = successLevel === 'COMPLETE' || successLevel === 'PARTIAL';
+    const magnitude = { COMPLETE: 2, PARTIAL: 1, FAILURE: 0, BACKFIRE: -1 }[successLevel];
+
+    const changes = {
+      [actorId]: { power: 0, stability: 0, technology: 0, resources: 0 }
+    };
+    const actorChanges = changes[actorId];
+    let targetChanges = null;
+    if (decision.target && worldState.countries.some(c => c.id === decision.target)) {
+      targetChanges = changes[decision.target] = { power: 0, stability: 0, technology: 0, resources: 0 };
+    }
+
+    switch (decision.specificAction) {
+      case 'declare_war':
+        actorChanges.power = 3 * magnitude;
+        actorChanges.stability = -5;
+        actorChanges.resources = -5;
+        if (targetChanges) {
+          targetChanges.power = -3 * Math.max(magnitude, 1);
+          targetChanges.stability = -5;
+        }
+        break;
+      case 'military_buildup':
+      case 'defend':
+        actorChanges.power = 2 * Math.max(magnitude, 0) + 1;
+        actorChanges.resources = -3;
+        break;
+      case 'invest_technology':
+        actorChanges.technology = 2 * Math.max(magnitude, 0) + 1;
+        actorChanges.resources = -2;
+        break;
+      case 'stabilize':
+      case 'reform_policy':
+        actorChanges.stability = 3 * magnitude;
+        break;
+      case 'extract_resources':
+        actorChanges.resources = 4 * Math.max(magnitude, 0) + 2;
+        actorChanges.stability = -2;
+        break;
+      case 'steal_technology':
+        actorChanges.technology = 2 * magnitude;
+        if (targetChanges) targetChanges.technology = -Math.max(magnitude, 0);
+        break;
+      case 'sabotage':
+        if (targetChanges) {
+          targetChanges.power = -2 * Math.max(magnitude, 0);
+          targetChanges.stability = -2 * Math.max(magnitude, 0);
+        }
+        break;
+      default:
+        actorChanges.stability = magnitude;
+        if (targetChanges) targetChanges.stability = Math.max(magnitude, 0);
+    }
+
+    const newTensions = {};
+    if (decision.target) {
+      const friendly = ['form_alliance', 'improve_relations', 'ceasefire', 'trade_agreement'].includes(decision.specificAction);
+      newTensions[decision.target] = friendly ? 5 * Math.max(magnitude, 0) : -10;
+    }
+
+    const actorName = worldState.countries.find(c => c.id === actorId)?.name || actorId;
+
+    return {
+      success,
+      successLevel,
+      changes,
+      description: `${actorName}'s attempt to ${decision.specificAction.replace(/_/g, ' ')} ends in ${successLevel.toLowerCase()}.`,
+      unintendedConsequences: successLevel === 'BACKFIRE' ? 'Domestic critics seize on the failure' : 'None observed',
+      newTensions
+    };
+  }
+
+  negotiationResponse({ worldState, decision, country, counterpart, history, round, maxRounds }) {
+    const tension = country.tensions?.[counterpart.id] || 0;
+    const onTable = history.length > 0 ? history[history.length - 1].terms : decision.details;
+
+    let response;
+    if (getEnemies(worldState, country.id).includes(counterpart.id) || tension <= -50) {
+      response = 'REJECT';
+    } else if (tension >= 0) {
+      response = 'ACCEPT';
+    } else if (round >= maxRounds) {
+      response = tension > -30 ? 'ACCEPT' : 'REJECT';
+    } else {
+      response = round > 1 && this.pick(2, worldState.seed, worldState.tick, decision.actorId, round) === 0
+        ? 'ACCEPT'
+        : 'COUNTER';
+    }
+
+    return {
+      response,
+      terms: response === 'COUNTER' ? `${onTable}, with guarantees for ${country.name}` : onTable,
+      reasoning: `${country.name} weighs its relations with ${counterpart.name} (${tension})`
+    };
+  }
+
+  narration({ worldState, decision, outcome }) {
+    const country = worldState.countries.find(c => c.id === decision.actorId);
+
+    const result = {
+      COMPLETE: 'a complete success',
+      PARTIAL: 'a partial success',
+      FAILURE: 'failure',
+      BACKFIRE: 'a backfire'
+    }[outcome.successLevel];
+
+    return {
+      description: `${country?.name || decision.actorId} pursued ${decision.specificAction.replace(/_/g, ' ')}; the effort ended in ${result}.`,
+      unintendedConsequences: outcome.successLevel === 'BACKFIRE' ? 'Rivals took note of the blunder' : 'None'
+    };
+  }
+
+  memorySummary({ country, memories }) {
+    const notable = [...memories]
+      .sort((a, b) => (b.importance || 0) - (a.importance || 0))
+      .slice(0, 3);
+
+    return {
+      summary: `${country.name} remembers: ${notable.map(m => m.text).join(' ')}`,
+      lessons: notable.filter(m => m.kind === 'OUTCOME').map(m => `Recall year ${m.year}`)
+    };
+  }
+
+  overseerAnalysis({ worldState }) {
+    const countries = worldState.countries;
+    const avgStability = countries.length > 0
+      ? countries.reduce((sum, c) => sum + c.stability, 0) / countries.length
+      : 0;
+    const strongest = countries.reduce((prev, curr) => (!prev || curr.power > prev.power) ? curr : prev, null);
+
+    return {
+      stabilityIndex: Math.round(avgStability),
+      explanation: `Average national stability stands at ${Math.round(avgStability)}`,
+      emergingPatterns: [
+        `${strongest?.name || 'No nation'} holds the greatest power`,
+        `${countries.filter(c => c.stability < 30).length} nations are near collapse`,
+        `${worldState.globalEvents.length} events recorded so far`
+      ],
+      predictions: [
+        'Existing rivalries persist',
+        'Weaker nations seek protection',
+        'Technology gaps widen'
+      ],
+      hiddenCosts: 'Order is maintained at the expense of dissent'
+    };
+  }
+
+  thinkerCommentary({ worldState }) {
+    const ideologyCritique = {};
+    for (const country of worldState.countries) {
+      ideologyCritique[country.ideology] = `${country.name} claims stability ${country.stability} at an unmeasured cost`;
+    }
+
+    return {
+      moralAnalysis: `In year ${worldState.year}, every nation trades some freedom for security.`,
+      ideologyCritique,
+      philosophicalQuestion: 'Who decides what a stable world is worth?',
+      hiddenTruth: 'The metrics measure order, not flourishing.',
+      prediction: 'Today\'s compromises become tomorrow\'s norms.'
+    };
+  }
+
+  strategistAnalysis({ worldState }) {
+    const ranked = [...worldState.countries].sort((a, b) => b.power - a.power);
+    const vulnerable = worldState.countries.filter(c => c.stability < 40 || c.power < 30);
+
+    const conflictPredictions = [];
+    if (ranked.length >= 2) {
+      const strongest = ranked[0];
+      const weakest = ranked[ranked.length - 1];
+      conflictPredictions.push({
+        potentialConflict: `${strongest.id} vs ${weakest.id}`,
+        likelihood: (strongest.tensions?.[weakest.id] || 0) < -50 ? 'HIGH' : 'LOW',
+        predictedOutcome: strongest.power - weakest.power > 20 ? 'ATTACKER_VICTORY' : 'STALEMATE',
+        reasoning: 'Power differential dominates',
+        duration: '3',
+        casualties: 'MEDIUM'
+      });
+    }
+
+    const strategicRecommendations = {};
+    for (const country of worldState.countries) {
+      strategicRecommendations[country.id] = country.power < 50 ? 'Fortify defenses' : 'Maintain deterrence';
+    }
+
+    return {
+      powerRanking: ranked.map(c => c.id),
+      vulnerableNations: vulnerable.map(c => ({
+        countryId: c.id,
+        reason: c.stability < 40 ? 'Low internal stability' : 'Weak military',
+        threatLevel: c.stability < 20 ? 'CRITICAL' : 'HIGH'
+      })),
+      conflictPredictions,
+      strategicRecommendations
+    };
+  }
+
+  historianChapter({ worldState, window }) {
+    const strongest = worldState.countries.reduce((prev, curr) => (!prev || curr.power > prev.power) ? curr : prev, null);
+    const turningPoints = window.events
+      .filter(e => ['WAR', 'PEACE', 'ALLIANCE', 'COLLAPSE', 'TREATY'].includes(e.type))
+      .slice(0, 3)
+      .map(e => ({ year: e.year, event: e.description, significance: `A ${e.type.toLowerCase()} that shaped the era` }));
+
+    return {
+      title: `Years ${window.fromYear} to ${window.toYear}${window.style ? ` (${window.style})` : ''}`,
+      narrative: `Between years ${window.fromYear} and ${window.toYear}, ${window.events.length + (window.omittedEvents || 0)} events unfolded across ${worldState.worldName}. ` +
+        `Stability moved from ${window.stabilityFrom ?? 'unknown'} to ${window.stabilityTo ?? 'unknown'}.`,
+      keyFigures: strongest
+        ? [{ name: `The leadership of ${strongest.name}`, countryId: strongest.id, role: 'Dominant power of the era' }]
+        : [],
+      turningPoints,
+      causes: ['Rivalries between ideologies', 'The pursuit of security over freedom']
+    };
+  }
+}
@@ -1,3 +1,7 @@
+import { describeActiveWars } from '../engine/wars.js';
+import { describeTradeAgreements, getTradeDependency } from '../engine/trade.js';
+import { estimateCountry } from '../engine/intel.js';
+
 /**
  * AI Agent Prompt Templates
  */
@@ -5,7 +9,7 @@
 export function overseerPrompt(worldState, tick) {
   const recentEvents = worldState.globalEvents.slice(-10);
   
-  return `You are the WORLD OVERSEER of Terra Novus, a fictional world simulation.
+  return `You are the WORLD OVERSEER of ${worldState.worldName}, a fictional world simulation.
 
 CURRENT STATE (Year ${worldState.year}, Tick ${tick}):
 
@@ -51,7 +55,7 @@ OUTPUT FORMAT (strict JSON):
 }`;
 }
 
-export function leaderPrompt(country, worldState, tick) {
+export function leaderPrompt(country, worldState, tick, memory = null) {
   const visibleCountries = worldState.countries.filter(c => c.id !== country.id);
   const recentEvents = worldState.globalEvents.filter(e => 
     e.actors.includes(country.id) || 
@@ -60,6 +64,9 @@ export function leaderPrompt(country, worldState, tick) {
     (country.alliances.some(ally => e.actors.includes(ally)))
   ).slice(-5);
 
+  const wars = describeActiveWars(worldState);
+  const trade = describeTradeAgreements(worldState).filter(a => a.partners.includes(country.id));
+
   const tensions = Object.entries(country.tensions || {})
     .map(([countryId, level]) => {
       const targetCountry = worldState.countries.find(c => c.id === countryId);
@@ -82,12 +89,35 @@ YOUR NATION'S STATUS:
 YOUR RELATIONSHIPS:
 ${tensions.map(t => `- ${t.name}: ${t.level > 50 ? 'FRIENDLY' : t.level > 0 ? 'Neutral' : t.level > -50 ? 'Tense' : 'HOSTILE'} (${t.level})`).join('\n')}
 
-OTHER NATIONS (limited intelligence):
-${visibleCountries.map(c => `
-- ${c.name} (${c.ideology})
-  Power: ${c.power}/100 | Stability: ${c.stability}/100 | Tech: ${c.technology}/100
-  Your tension with them: ${country.tensions[c.id] || 0}
-`).join('\n')}
+OTHER NATIONS (intelligence estimates — NOT exact figures):
+${visibleCountries.map(c => {
+  const intel = estimateCountry(worldState, country.id, c);
+  return `
+- ${c.name} [id: ${c.id}] (${c.ideology})
+  Power: ~${intel.power} | Stability: ~${intel.stability} | Tech: ~${intel.technology} | Resources: ~${intel.resources}
+  Intel: ${intel.confidence} confidence (±${intel.margin}) | Your tension with them: ${country.tensions[c.id] || 0}
+`;
+}).join('\n')}
+
+WARS:
+${wars.length > 0 ? wars.map(w => {
+  const side = w.attackers.includes(country.id) ? 'ATTACKING' : w.defenders.includes(country.id) ? 'DEFENDING' : null;
+  const exhaustion = side ? ` | Your war exhaustion: ${w.exhaustion[country.id]}/100` : '';
+  return `- ${w.attackerNames.join(' + ')} vs ${w.defenderNames.join(' + ')} (since Year ${w.startYear})${side ? ` — YOU ARE ${side}` : ''}${exhaustion}`;
+}).join('\n') : 'No active wars'}
+
+TRADE (your dependency on trade: ${getTradeDependency(worldState, country.id)}/100):
+${trade.length > 0 ? trade.map(a => {
+  const partnerName = a.partnerNames[a.partners.indexOf(country.id) === 0 ? 1 : 0];
+  const flows = a.lastFlows[country.id];
+  return `- With ${partnerName} (since Year ${a.startYear}) | Your dependency: ${a.dependency[country.id]}/100${flows ? ` | Last year: +${flows.resources} resources, +${flows.technology} technology` : ''}${a.disrupted ? ' | DISRUPTED BY WAR' : ''}`;
+}).join('\n') : 'No trade agreements'}
+
+YOUR MEMORY:
+${memory?.summaries?.length > 0 ? `Long-term:
+${memory.summaries.map(s => `- [Years ${s.fromYear}-${s.toYear}] ${s.summary}${s.lessons?.length > 0 ? ` Lessons: ${s.lessons.join('; ')}` : ''}`).join('\n')}
+` : ''}Key recollections:
+${memory?.memories?.length > 0 ? memory.memories.map(m => `- [Year ${m.year}] ${m.text}`).join('\n') : '- Nothing of note yet'}
 
 RECENT EVENTS YOU KNOW ABOUT:
 ${recentEvents.map(e => `[Year ${e.year}] ${e.description}`).join('\n') || 'No recent intelligence'}
@@ -103,12 +133,14 @@ AVAILABLE ACTIONS:
    - break_alliance: End existing alliance
    - improve_relations: Diplomatic outreach to reduce tensions
    - threaten: Issue ultimatum or threats
+   - trade_agreement: Open bilateral trade (steady resources and technology, but builds dependency)
+   - embargo: Cancel an existing trade agreement (both sides suffer an economic shock)
 
 2. MILITARY
    - declare_war: Attack another nation (HIGH RISK)
    - military_buildup: Increase military strength (costs resources)
    - defend: Fortify defenses
-   - ceasefire: End ongoing conflict
+   - ceasefire: End an ongoing war with a nation you are fighting
 
 3. INTERNAL
    - invest_technology: Advance technological capabilities
@@ -117,12 +149,12 @@ AVAILABLE ACTIONS:
    - reform_policy: Change governance approach (risky but may improve long-term)
 
 4. ESPIONAGE
-   - gather_intel: Learn more about rivals
+   - gather_intel: Learn more about rivals (sharpens your estimates of the target)
    - sabotage: Covert action against rival (if discovered, causes war)
    - steal_technology: Industrial espionage
 
 DECISION RULES:
-- You have IMPERFECT information (you don't see everything)
+- You have IMPERFECT information: rival figures are estimates that go stale; allies share what they know
 - Your ideology SHAPES your priorities
 - Actions have UNINTENDED CONSEQUENCES
 - War is costly for both sides
@@ -149,7 +181,7 @@ export function thinkerPrompt(worldState, recentEvents) {
     stability: c.stability
   }));
 
-  return `You are the PHILOSOPHICAL THINKER observing Terra Novus and its moral evolution.
+  return `You are the PHILOSOPHICAL THINKER observing ${worldState.worldName} and its moral evolution.
 
 CURRENT IDEOLOGIES IN PLAY:
 ${ideologies.map(i => `- ${i.name}: ${i.ideology} (Power: ${i.power}, Stability: ${i.stability})`).join('\n')}
@@ -217,7 +249,10 @@ ${c.name}:
 
 ACTIVE CONFLICTS:
 ${activeConflicts.length > 0 ? activeConflicts.map(c => 
-  `- ${c.attacker} vs ${c.defender} (Started: Year ${c.startYear})`
+  `- ${c.attackers.join(' + ')} vs ${c.defenders.join(' + ')} (Started: Year ${c.startYear}, ${c.durationYears} years)
+  Front balance: ${c.balance} (positive favours attackers)
+  War exhaustion: ${Object.entries(c.exhaustion).map(([id, v]) => `${id}(${v})`).join(', ')}
+  Casualties: ${Object.entries(c.casualties).map(([id, v]) => `${id}(${(v / 1000000).toFixed(2)}M)`).join(', ')}`
 ).join('\n') : 'No active wars'}
 
 ANALYSIS REQUIRED:
@@ -260,6 +295,48 @@ OUTPUT (JSON):
 }`;
 }
 
+export function historianPrompt(worldState, window) {
+  return `You are the HISTORIAN of ${worldState.worldName}, writing one chapter of its history book.
+
+THIS CHAPTER COVERS: Years ${window.fromYear} to ${window.toYear}
+World stability moved from ${window.stabilityFrom ?? 'unknown'} to ${window.stabilityTo ?? 'unknown'} (0-100).
+
+NATIONS:
+${worldState.countries.map(c => `- ${c.name} [${c.id}]: ${c.ideology}`).join('\n')}
+${window.previousChapter ? `
+THE PREVIOUS CHAPTER, "${window.previousChapter.title}", ENDED WITH:
+${window.previousChapter.narrative.slice(-600)}
+` : ''}
+RECORDED EVENTS:
+${window.events.length > 0 ? window.events.map(e => `[Year ${e.year}] ${e.type}: ${e.description}`).join('\n') : 'No recorded events'}
+${window.omittedEvents > 0 ? `(${window.omittedEvents} minor events omitted)\n` : ''}
+THE OVERSEER'S ASSESSMENTS AT THE TIME:
+${window.overseer.length > 0 ? window.overseer.map(o => `[Year ${o.year}] ${o.explanation}${o.predictions?.length ? ` Predicted: ${o.predictions.join('; ')}` : ''}`).join('\n') : 'None'}
+
+THE PHILOSOPHER'S REFLECTIONS AT THE TIME:
+${window.thinker.length > 0 ? window.thinker.map(t => `[Year ${t.year}] ${t.philosophicalQuestion} ${t.moralAnalysis || ''}`).join('\n') : 'None'}
+
+YOUR TASK:
+Write this era as a historian looking back: give it a title, tell what happened as a connected story,
+name the key figures (nations, leaders or factions), pick the turning points and explain the underlying causes.
+Only use what the record supports; where the record is silent, say so rather than invent.
+${window.style ? `
+STYLE: ${window.style}
+` : ''}
+OUTPUT (JSON):
+{
+  "title": "<chapter title>",
+  "narrative": "<the chapter, 3-6 paragraphs>",
+  "keyFigures": [
+    { "name": "<who>", "countryId": "<country id or null>", "role": "<their part in the era>" }
+  ],
+  "turningPoints": [
+    { "year": <year>, "event": "<what happened>", "significance": "<why it mattered>" }
+  ],
+  "causes": ["<underlying cause>", "..."]
+}`;
+}
+
 export function actionResolutionPrompt(decision, worldState, actor) {
   const actorCountry = worldState.countries.find(c => c.id === actor.countryId);
   const targetCountry = decision.target 
@@ -274,7 +351,9 @@ Action Type: ${decision.action} - ${decision.specificAction}
 Target: ${targetCountry?.name || 'Internal/None'}
 Details: ${decision.details}
 Actor's Reasoning: ${decision.reasoning}
-
+${decision.negotiation ? `Negotiated with ${targetCountry?.name} over ${decision.negotiation.rounds.length} round(s). AGREED TERMS: ${decision.negotiation.terms}
+(Both parties consented — resolve how well the agreed terms are carried out.)
+` : ''}
 ACTOR'S CURRENT STATE:
 Power: ${actorCountry?.power}/100
 Stability: ${actorCountry?.stability}/100
@@ -297,6 +376,7 @@ RESOLUTION RULES:
 2. Determine stat changes:
    - War: Both sides lose stability, winner gains power, loser loses power
    - Alliance: Both gain slight power, but create dependency
+   - Trade: Modest immediate gains; ongoing flows are handled by the trade system
    - Internal investment: Gain in one area, potential loss in another
    - Espionage: High risk/high reward
 
@@ -331,3 +411,94 @@ OUTPUT (JSON):
   }
 }`;
 }
+
+export function narrationPrompt(decision, worldState, outcome) {
+  const nameOf = (id) => worldState.countries.find(c => c.id === id)?.name || id;
+  const actorCountry = worldState.countries.find(c => c.id === decision.actorId);
+
+  return `You are the SIMULATION CHRONICLER describing an action whose outcome is already decided.
+
+ACTION TAKEN:
+Actor: ${actorCountry?.name} (${actorCountry?.ideology})
+Action: ${decision.specificAction}${decision.target ? ` toward ${nameOf(decision.target)}` : ''}
+Details: ${decision.details}
+
+DECIDED OUTCOME: ${outcome.successLevel} (success: ${outcome.success})
+STAT CHANGES:
+${Object.entries(outcome.changes).map(([id, deltas]) => `- ${nameOf(id)}: ${Object.entries(deltas).filter(([, v]) => v !== 0).map(([stat, v]) => `${stat} ${v > 0 ? '+' : ''}${v}`).join(', ') || 'no change'}`).join('\n')}
+
+Write what happened so that it matches this outcome and these changes exactly. Do not invent other effects.
+
+OUTPUT (JSON):
+{
+  "description": "<narrative of what happened, 2-3 sentences>",
+  "unintendedConsequences": "<what unexpected things resulted?>"
+}`;
+}
+
+export function memoryCondensationPrompt(country, memories) {
+  return `You are the institutional memory of ${country.name} (${country.ideology}).
+
+Condense these recollections of your nation's leadership into a short summary that a future leader must know.
+Keep betrayals, broken promises, wars, debts of gratitude and the results of past plans. Drop routine detail.
+
+RECOLLECTIONS (Years ${memories[0].year}-${memories[memories.length - 1].year}):
+${memories.map(m => `- [Year ${m.year}] ${m.kind}: ${m.text}`).join('\n')}
+
+OUTPUT (JSON):
+{
+  "summary": "<3-5 sentences in the first person plural (we, our)>",
+  "lessons": ["<lesson 1>", "<lesson 2>"]
+}`;
+}
+
+export function negotiationPrompt(country, counterpart, decision, history, round, maxRounds, worldState) {
+  const proposer = worldState.countries.find(c => c.id === decision.actorId);
+  const lastOffer = history.length > 0 ? history[history.length - 1] : null;
+  const intel = estimateCountry(worldState, country.id, counterpart);
+
+  return `You are the LEADER of ${country.name} (${country.ideology}), negotiating with ${counterpart.name} (${counterpart.ideology}).
+
+PROPOSAL FROM ${proposer?.name}: ${decision.specificAction.replace(/_/g, ' ')}
+Original terms: ${decision.details}
+
+YOUR NATION: Power ${country.power}/100 | Stability ${country.stability}/100 | Resources ${country.resources}/100
+Alliances: ${country.alliances.length > 0 ? country.alliances.join(', ') : 'None'}
+Your tension with ${counterpart.name}: ${country.tensions?.[counterpart.id] || 0}
+
+${counterpart.name.toUpperCase()} (intelligence estimate — NOT exact figures): Power ~${intel.power} | Stability ~${intel.stability} | Resources ~${intel.resources}
+Intel: ${intel.confidence} confidence (±${intel.margin})
+
+NEGOTIATION SO FAR (round ${round} of ${maxRounds}):
+${history.map(h => `- Round ${h.round}, ${h.fromName}: ${h.response} — ${h.terms}`).join('\n') || '- No responses yet'}
+
+${lastOffer ? `TERMS ON THE TABLE: ${lastOffer.terms}` : `TERMS ON THE TABLE: ${decision.details}`}
+
+YOUR OPTIONS:
+- ACCEPT: Agree to the terms on the table exactly as stated
+- REJECT: Walk away; no agreement is made
+- COUNTER: Propose amended terms${round >= maxRounds ? ' (this is the FINAL round: a counter-offer means no agreement)' : ''}
+
+Decide according to your ideology and national interest.
+
+OUTPUT (JSON):
+{
+  "response": "<ACCEPT|REJECT|COUNTER>",
+  "terms": "<the terms you accept, or your counter-proposal>",
+  "reasoning": "<why>"
+}`;
+}
+
+export function repairPrompt(originalPrompt, invalidResponse, errors) {
+  const previous = invalidResponse?.raw ?? JSON.stringify(invalidResponse, null, 2);
+
+  return `${originalPrompt}
+
+YOUR PREVIOUS RESPONSE WAS REJECTED:
+${previous}
+
+VALIDATION ERRORS:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Respond again with a single corrected JSON object in the exact format requested above. Fix every listed error and output nothing but the JSON.`;
+}
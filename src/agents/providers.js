@@ -0,0 +1,46 @@
+import { GeminiClient } from './geminiClient.js';
+import { MockProvider } from './mockProvider.js';
+import { getRateLimiter } from '../utils/rateLimiter.js';
+import { decryptApiKey } from '../utils/secrets.js';
+
+export const DEFAULT_PROVIDER = 'gemini';
+
+/**
+ * Registry of LLM providers selectable per agent via `agent.provider`.
+ * Stored keys are encrypted; providers receive them decrypted, and only here.
+ */
+const providers = {
+  gemini: {
+    requiresApiKey: true,
+    create: (agent) => {
+      const apiKey = decryptApiKey(agent.apiKey);
+      return new GeminiClient(apiKey, getRateLimiter(apiKey));
+    }
+  },
+  mock: {
+    requiresApiKey: false,
+    create: (agent) => new MockProvider(agent)
+  }
+};
+
+export function registerProvider(name, definition) {
+  providers[name] = definition;
+}
+
+export function isKnownProvider(name) {
+  return Object.prototype.hasOwnProperty.call(providers, name);
+}
+
+export function providerRequiresApiKey(name) {
+  return providers[name]?.requiresApiKey ?? true;
+}
+
+export function createProvider(agent) {
+  const name = agent.provider || DEFAULT_PROVIDER;
+
+  if (!isKnownProvider(name)) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  return providers[name].create(agent);
+}
@@ -0,0 +1,361 @@
+import { findWarBetween } from '../engine/wars.js';
+import { findAgreementBetween } from '../engine/trade.js';
+
+/**
+ * Per-role JSON schemas for agent outputs.
+ *
+ * Schemas are built per call from the current world state so that country ids,
+ * action names and stat deltas are checked against what actually exists.
+ * Only the small JSON Schema subset used below is supported by the validator.
+ */
+
+export const LEADER_ACTIONS = {
+  DIPLOMACY: ['form_alliance', 'break_alliance', 'improve_relations', 'threaten', 'trade_agreement', 'embargo'],
+  MILITARY: ['declare_war', 'military_buildup', 'defend', 'ceasefire'],
+  INTERNAL: ['invest_technology', 'stabilize', 'extract_resources', 'reform_policy'],
+  ESPIONAGE: ['gather_intel', 'sabotage', 'steal_technology']
+};
+
+export const TARGETED_ACTIONS = [
+  'form_alliance', 'break_alliance', 'improve_relations', 'threaten', 'trade_agreement', 'embargo',
+  'declare_war', 'ceasefire', 'gather_intel', 'sabotage', 'steal_technology'
+];
+
+// Allowed per-resolution stat deltas, matching actionResolutionPrompt
+export const DELTA_LIMITS = {
+  power: 20,
+  stability: 20,
+  technology: 10,
+  resources: 15
+};
+
+export const TENSION_DELTA_LIMIT = 50;
+
+const LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+function deltaSchema() {
+  const properties = {};
+  for (const [stat, limit] of Object.entries(DELTA_LIMITS)) {
+    properties[stat] = { type: 'number', minimum: -limit, maximum: limit };
+  }
+  properties.population = { type: 'number' };
+
+  return { type: 'object', properties, additionalProperties: false };
+}
+
+const schemaBuilders = {
+  decision: ({ worldState, country }) => {
+    const targetIds = worldState.countries.filter(c => c.id !== country.id).map(c => c.id);
+
+    return {
+      type: 'object',
+      required: ['action', 'specificAction', 'target', 'details', 'reasoning'],
+      properties: {
+        action: { enum: Object.keys(LEADER_ACTIONS) },
+        specificAction: { enum: Object.values(LEADER_ACTIONS).flat() },
+        target: { enum: [...targetIds, null] },
+        details: { type: 'string', minLength: 1 },
+        reasoning: { type: 'string', minLength: 1 },
+        expectedOutcome: { type: 'string' },
+        risks: { type: 'string' }
+      }
+    };
+  },
+
+  resolution: ({ worldState }) => {
+    const countryIds = worldState.countries.map(c => c.id);
+
+    return {
+      type: 'object',
+      required: ['success', 'successLevel', 'changes', 'description'],
+      properties: {
+        success: { type: 'boolean' },
+        successLevel: { enum: ['COMPLETE', 'PARTIAL', 'FAILURE', 'BACKFIRE'] },
+        changes: {
+          type: 'object',
+          propertyNames: { enum: countryIds },
+          additionalProperties: deltaSchema()
+        },
+        description: { type: 'string', minLength: 1 },
+        unintendedConsequences: { type: 'string' },
+        newTensions: {
+          type: 'object',
+          propertyNames: { enum: countryIds },
+          additionalProperties: {
+            type: 'number',
+            minimum: -TENSION_DELTA_LIMIT,
+            maximum: TENSION_DELTA_LIMIT
+          }
+        }
+      }
+    };
+  },
+
+  negotiation: () => ({
+    type: 'object',
+    required: ['response', 'terms', 'reasoning'],
+    properties: {
+      response: { enum: ['ACCEPT', 'REJECT', 'COUNTER'] },
+      terms: { type: 'string', minLength: 1 },
+      reasoning: { type: 'string', minLength: 1 }
+    }
+  }),
+
+  narration: () => ({
+    type: 'object',
+    required: ['description'],
+    properties: {
+      description: { type: 'string', minLength: 1 },
+      unintendedConsequences: { type: 'string' }
+    }
+  }),
+
+  memory: () => ({
+    type: 'object',
+    required: ['summary', 'lessons'],
+    properties: {
+      summary: { type: 'string', minLength: 1 },
+      lessons: stringArray
+    }
+  }),
+
+  overseer: () => ({
+    type: 'object',
+    required: ['stabilityIndex', 'explanation', 'emergingPatterns', 'predictions'],
+    properties: {
+      stabilityIndex: { type: 'number', minimum: 0, maximum: 100 },
+      explanation: { type: 'string', minLength: 1 },
+      emergingPatterns: stringArray,
+      predictions: stringArray,
+      hiddenCosts: { type: 'string' }
+    }
+  }),
+
+  thinker: () => ({
+    type: 'object',
+    required: ['moralAnalysis', 'philosophicalQuestion'],
+    properties: {
+      moralAnalysis: { type: 'string', minLength: 1 },
+      ideologyCritique: { type: 'object', additionalProperties: { type: 'string' } },
+      philosophicalQuestion: { type: 'string', minLength: 1 },
+      hiddenTruth: { type: 'string' },
+      prediction: { type: 'string' }
+    }
+  }),
+
+  strategist: ({ worldState }) => {
+    const countryIds = worldState.countries.map(c => c.id);
+
+    return {
+      type: 'object',
+      required: ['powerRanking', 'vulnerableNations', 'conflictPredictions'],
+      properties: {
+        powerRanking: { type: 'array', items: { enum: countryIds } },
+        vulnerableNations: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['countryId', 'threatLevel'],
+            properties: {
+              countryId: { enum: countryIds },
+              reason: { type: 'string' },
+              threatLevel: { enum: LEVELS }
+            }
+          }
+        },
+        conflictPredictions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['potentialConflict', 'likelihood', 'predictedOutcome'],
+            properties: {
+              potentialConflict: { type: 'string' },
+              likelihood: { enum: ['LOW', 'MEDIUM', 'HIGH'] },
+              predictedOutcome: {
+                enum: ['ATTACKER_VICTORY', 'DEFENDER_VICTORY', 'STALEMATE', 'MUTUAL_DESTRUCTION']
+              },
+              reasoning: { type: 'string' },
+              duration: { type: ['string', 'number'] },
+              casualties: { enum: ['LOW', 'MEDIUM', 'HIGH', 'CATASTROPHIC'] }
+            }
+          }
+        },
+        strategicRecommendations: { type: 'object', additionalProperties: { type: 'string' } }
+      }
+    };
+  },
+
+  historian: ({ worldState }) => ({
+    type: 'object',
+    required: ['title', 'narrative', 'keyFigures', 'turningPoints', 'causes'],
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      narrative: { type: 'string', minLength: 1 },
+      keyFigures: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'role'],
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            countryId: { enum: [...worldState.countries.map(c => c.id), null] },
+            role: { type: 'string' }
+          }
+        }
+      },
+      turningPoints: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['year', 'event'],
+          properties: {
+            year: { type: 'number' },
+            event: { type: 'string', minLength: 1 },
+            significance: { type: 'string' }
+          }
+        }
+      },
+      causes: stringArray
+    }
+  })
+};
+
+/**
+ * Checks that cannot be expressed in the schema subset
+ */
+const crossChecks = {
+  decision: (value, { worldState, country }) => {
+    const errors = [];
+    const allowed = LEADER_ACTIONS[value.action] || [];
+
+    if (!allowed.includes(value.specificAction)) {
+      errors.push(`$.specificAction "${value.specificAction}" is not a ${value.action} action`);
+    }
+    if (TARGETED_ACTIONS.includes(value.specificAction) && !value.target) {
+      errors.push(`$.target is required for ${value.specificAction}`);
+    }
+    if (!TARGETED_ACTIONS.includes(value.specificAction) && value.target) {
+      errors.push(`$.target must be null for ${value.specificAction}`);
+    }
+    if (value.specificAction === 'ceasefire' && value.target && !findWarBetween(worldState, country.id, value.target)) {
+      errors.push(`$.target ${value.target} is not at war with you, so ceasefire is not possible`);
+    }
+    if (value.specificAction === 'embargo' && value.target && !findAgreementBetween(worldState, country.id, value.target)) {
+      errors.push(`$.target ${value.target} has no trade agreement with you, so embargo is not possible`);
+    }
+
+    return errors;
+  },
+
+  resolution: (value, { decision }) => {
+    const involved = [decision.actorId, decision.target].filter(Boolean);
+
+    return Object.keys(value.changes || {})
+      .filter(countryId => !involved.includes(countryId))
+      .map(countryId => `$.changes.${countryId} is not a party to this action (allowed: ${involved.join(', ')})`);
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validates a value against a schema, returning a list of readable errors
+ */
+export function validateSchema(schema, value, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} must be of type ${types.join(' or ')}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const options = schema.enum.map(option => JSON.stringify(option)).join(', ');
+    return [`${path} must be one of: ${options} (got ${JSON.stringify(value)})`];
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum} (got ${value})`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum} (got ${value})`);
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = `${path}.${key}`;
+
+      if (schema.propertyNames) {
+        const nameErrors = validateSchema(schema.propertyNames, key, `${childPath} key`);
+        if (nameErrors.length > 0) {
+          errors.push(...nameErrors);
+          continue;
+        }
+      }
+
+      if (schema.properties?.[key]) {
+        errors.push(...validateSchema(schema.properties[key], child, childPath));
+      } else if (schema.additionalProperties === false && schema.properties) {
+        errors.push(`${childPath} is not an allowed field`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, child, childPath));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates an agent response for the given phase
+ */
+export function validateAgentOutput(phase, response, context = {}) {
+  const buildSchema = schemaBuilders[phase];
+  if (!buildSchema) {
+    return { valid: true, errors: [] };
+  }
+
+  if (response?.parseError || response?.raw !== undefined) {
+    return { valid: false, errors: ['Response was not a valid JSON object'] };
+  }
+
+  const errors = validateSchema(buildSchema(context), response);
+
+  if (errors.length === 0 && crossChecks[phase]) {
+    errors.push(...crossChecks[phase](response, context));
+  }
+
+  return { valid: errors.length === 0, errors };
+}
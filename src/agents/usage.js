@@ -0,0 +1,88 @@
+/**
+ * Token usage and cost accounting for agent LLM calls.
+ *
+ * Providers report the usage metadata of every model call; the tracker
+ * attributes it to the simulation, tick, agent, role and phase and keeps
+ * running totals in one `usage` document per simulation.
+ */
+
+// USD per million tokens
+export const MODEL_PRICING = {
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  mock: { input: 0, output: 0 }
+};
+
+export function estimateCost(model, promptTokens, outputTokens) {
+  const pricing = MODEL_PRICING[model];
+  if (!pricing) return 0;
+
+  return (promptTokens * pricing.input + outputTokens * pricing.output) / 1000000;
+}
+
+export class UsageTracker {
+  constructor(db, simulationId) {
+    this.db = db;
+    this.simulationId = simulationId;
+  }
+
+  /**
+   * Adds one call's usage to the simulation totals and its breakdowns
+   */
+  async record({ tick, agentId, role, phase, model, promptTokens = 0, outputTokens = 0 }) {
+    const totalTokens = promptTokens + outputTokens;
+    const costUsd = estimateCost(model, promptTokens, outputTokens);
+
+    const increments = {};
+    const scopes = [
+      'totals',
+      `byAgent.${agentId}`,
+      `byRole.${role}`,
+      `byPhase.${phase}`,
+      `byModel.${model.replace(/\./g, '_')}`, // dots would split the field path
+      `byTick.${tick}`
+    ];
+
+    for (const scope of scopes) {
+      increments[`${scope}.calls`] = 1;
+      increments[`${scope}.promptTokens`] = promptTokens;
+      increments[`${scope}.outputTokens`] = outputTokens;
+      increments[`${scope}.totalTokens`] = totalTokens;
+      increments[`${scope}.costUsd`] = costUsd;
+    }
+
+    try {
+      await this.db.collection('usage').updateOne(
+        { simulationId: this.simulationId },
+        {
+          $inc: increments,
+          $set: { updatedAt: new Date() },
+          $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error(`❌ Failed to record usage for ${agentId}:`, error.message);
+    }
+  }
+
+  async getTotals() {
+    const usage = await this.db.collection('usage').findOne({ simulationId: this.simulationId });
+    return usage?.totals || { calls: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 };
+  }
+}
+
+/**
+ * Returns a description of the first exceeded limit of `budget`, or null
+ */
+export function checkBudget(budget, totals) {
+  if (!budget) return null;
+
+  if (budget.maxCostUsd != null && totals.costUsd >= budget.maxCostUsd) {
+    return `cost $${totals.costUsd.toFixed(4)} reached the $${budget.maxCostUsd} budget`;
+  }
+  if (budget.maxTokens != null && totals.totalTokens >= budget.maxTokens) {
+    return `${totals.totalTokens} tokens reached the ${budget.maxTokens} token budget`;
+  }
+
+  return null;
+}
@@ -0,0 +1,310 @@
+import { parseArgs } from 'util';
+import { readFileSync } from 'fs';
+import dotenv from 'dotenv';
+import { connectDB, closeDB } from './db/connection.js';
+import { validateScenario } from './db/models.js';
+import { WorldSimulator } from './engine/simulator.js';
+import { RESOLUTION_MODES } from './engine/ruleResolver.js';
+import { loadWorldInit, buildInitialWorldState, buildAgents } from './engine/setup.js';
+import { DEFAULT_PROVIDER, isKnownProvider, providerRequiresApiKey } from './agents/providers.js';
+import { generateSeed, generateSimulationId } from './utils/random.js';
+
+/**
+ * Headless batch runner: executes ticks back to back, with no wall-clock
+ * interval, until the tick count is reached or the simulation ends.
+ *
+ *   npm run batch -- --ticks 50 --provider mock --json
+ *   npm run batch -- --simulation sim_123 --ticks 10
+ *
+ * Prints one summary per tick (or JSON lines with --json; engine logs then go
+ * to stderr). Ctrl-C (or SIGTERM) stops after the tick in progress.
+ */
+
+dotenv.config();
+
+const USAGE = `Usage: node src/batch.js [options]
+
+  --simulation <id>        continue an existing simulation instead of creating one
+  --ticks <n>              maximum ticks to run (default 100)
+  --scenario <id>          stored scenario of --owner to start from (default world otherwise)
+  --scenario-file <path>   scenario definition as JSON
+  --provider <name>        agent provider for every role (default ${DEFAULT_PROVIDER})
+  --api-key <key>          key for every agent (default GEMINI_API_KEY)
+  --seed <seed>            RNG seed
+  --resolution-mode <m>    ${RESOLUTION_MODES.join(', ')} (default llm)
+  --concurrency <n>        max concurrent agent calls
+  --owner <userId>         owner of a new simulation (default admin)
+  --force                  take over a simulation marked RUNNING
+  --json                   print JSON lines
+  --quiet                  hide engine logs
+  --help`;
+
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      simulation: { type: 'string' },
+      ticks: { type: 'string', default: '100' },
+      scenario: { type: 'string' },
+      'scenario-file': { type: 'string' },
+      provider: { type: 'string', default: DEFAULT_PROVIDER },
+      'api-key': { type: 'string' },
+      seed: { type: 'string' },
+      'resolution-mode': { type: 'string', default: 'llm' },
+      concurrency: { type: 'string' },
+      owner: { type: 'string', default: 'admin' },
+      force: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+      quiet: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  const ticks = Number(values.ticks);
+  if (!Number.isInteger(ticks) || ticks < 1) {
+    throw new Error('--ticks must be a positive integer');
+  }
+
+  const concurrency = values.concurrency !== undefined ? Number(values.concurrency) : null;
+  if (concurrency !== null && (!Number.isInteger(concurrency) || concurrency < 1)) {
+    throw new Error('--concurrency must be a positive integer');
+  }
+
+  if (!isKnownProvider(values.provider)) {
+    throw new Error(`Unknown provider: ${values.provider}`);
+  }
+
+  if (!RESOLUTION_MODES.includes(values['resolution-mode'])) {
+    throw new Error(`--resolution-mode must be one of: ${RESOLUTION_MODES.join(', ')}`);
+  }
+
+  if (values.scenario && values['scenario-file']) {
+    throw new Error('Provide either --scenario or --scenario-file, not both');
+  }
+
+  // Numeric seeds stay numbers so they match seeds given through the API
+  const seed = values.seed === undefined
+    ? generateSeed()
+    : (/^\d+$/.test(values.seed) ? Number(values.seed) : values.seed);
+
+  return {
+    ...values,
+    ticks,
+    concurrency,
+    seed,
+    apiKey: values['api-key'] || process.env.GEMINI_API_KEY || null
+  };
+}
+
+async function loadScenario(db, options) {
+  if (options.scenario) {
+    const stored = await db.collection('scenarios').findOne({ scenarioId: options.scenario, ownerId: options.owner });
+    if (!stored) {
+      throw new Error(`Scenario not found for ${options.owner}: ${options.scenario}`);
+    }
+    const { _id, ownerId, createdAt, updatedAt, ...definition } = stored;
+    return definition;
+  }
+
+  if (options['scenario-file']) {
+    const scenario = JSON.parse(readFileSync(options['scenario-file'], 'utf-8'));
+    const errors = validateScenario(scenario);
+    if (errors.length > 0) {
+      throw new Error(`Invalid scenario: ${errors.join('; ')}`);
+    }
+    return { ...scenario, scenarioId: null };
+  }
+
+  return { scenarioId: null, ...loadWorldInit() };
+}
+
+async function createSimulation(db, options) {
+  if (providerRequiresApiKey(options.provider) && !options.apiKey) {
+    throw new Error(`Provider ${options.provider} needs --api-key or GEMINI_API_KEY`);
+  }
+
+  const scenario = await loadScenario(db, options);
+  const simulationId = generateSimulationId();
+  const key = providerRequiresApiKey(options.provider) ? options.apiKey : null;
+
+  await db.collection('world_states').insertOne({
+    ...buildInitialWorldState(simulationId, options.owner, scenario, options.seed, options['resolution-mode']),
+    runner: 'batch'
+  });
+
+  await db.collection('agent_configs').insertOne({
+    simulationId,
+    ownerId: options.owner,
+    agents: buildAgents(scenario, () => options.provider, {
+      overseer: key,
+      leaders: key ? scenario.countries.map(() => key) : [],
+      thinker: key,
+      strategist: key,
+      historian: key
+    }),
+    concurrency: options.concurrency,
+    cassette: { mode: 'record' }
+  });
+
+  console.error(`✅ Simulation created: ${simulationId}`);
+  return simulationId;
+}
+
+/**
+ * Marks an existing simulation as run by this process
+ */
+async function claimSimulation(db, options) {
+  const simulationId = options.simulation;
+  const state = await db.collection('world_states').findOne({ simulationId });
+
+  if (!state) {
+    throw new Error(`Simulation not found: ${simulationId}`);
+  }
+  if (state.status === 'COMPLETED' || state.status === 'FAILED') {
+    throw new Error(`Simulation ${simulationId} is ${state.status}`);
+  }
+  if (state.status === 'RUNNING' && !options.force) {
+    throw new Error(`Simulation ${simulationId} is RUNNING (likely on the server); pause it first or pass --force`);
+  }
+
+  await db.collection('world_states').updateOne(
+    { simulationId },
+    { $set: { status: 'RUNNING', runner: 'batch', updatedAt: new Date() }, $unset: { pausedReason: '' } }
+  );
+
+  return simulationId;
+}
+
+function summarize(state, tick, startedAt) {
+  const surviving = state.countries.filter(c => c.stability > 20).length;
+
+  return {
+    type: 'tick',
+    simulationId: state.simulationId,
+    tick,
+    year: state.year - 1,
+    status: state.status,
+    metrics: {
+      stabilityIndex: state.metrics?.stabilityIndex,
+      conflictLevel: state.metrics?.conflictLevel,
+      survivalRate: state.metrics?.survivalRate,
+      tradeIntegration: state.metrics?.tradeIntegration
+    },
+    surviving,
+    countries: state.countries.map(c => ({
+      id: c.id,
+      power: c.power,
+      stability: c.stability,
+      technology: c.technology,
+      resources: c.resources
+    })),
+    events: (state.globalEvents || []).filter(e => e.tick === tick).length,
+    activeWars: (state.wars || []).filter(w => w.status === 'ACTIVE').length,
+    durationMs: Date.now() - startedAt
+  };
+}
+
+function printTick(summary, json) {
+  if (json) {
+    process.stdout.write(`${JSON.stringify(summary)}\n`);
+    return;
+  }
+
+  const { metrics } = summary;
+  process.stdout.write(
+    `Tick ${String(summary.tick).padStart(4)} | Year ${String(summary.year).padStart(5)} | ` +
+    `Stability ${String(metrics.stabilityIndex).padStart(3)} | Conflict ${String(metrics.conflictLevel).padStart(3)} | ` +
+    `Surviving ${summary.surviving}/${summary.countries.length} | Wars ${summary.activeWars} | ` +
+    `Events ${String(summary.events).padStart(2)} | ${(summary.durationMs / 1000).toFixed(1)}s\n`
+  );
+}
+
+async function run() {
+  const options = parseOptions();
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  // Keep stdout for results: engine logs go to stderr, or nowhere with --quiet
+  const log = options.quiet ? () => {} : console.error;
+  console.log = log;
+  console.info = log;
+  console.warn = options.quiet ? () => {} : console.warn;
+
+  const db = await connectDB();
+  const simulationId = options.simulation
+    ? await claimSimulation(db, options)
+    : await createSimulation(db, options);
+
+  const simulator = new WorldSimulator(simulationId, db);
+  await simulator.initialize();
+
+  // The tick in progress always finishes so its state and summary are saved
+  let stopRequested = null;
+  const requestStop = (signal) => {
+    if (stopRequested) process.exit(130);
+    stopRequested = signal;
+    console.error(`⏹️ ${signal} received, stopping after the current tick (Ctrl-C again to abort)`);
+  };
+  process.on('SIGINT', () => requestStop('SIGINT'));
+  process.on('SIGTERM', () => requestStop('SIGTERM'));
+
+  let state = await db.collection('world_states').findOne({ simulationId });
+  let ticksRun = 0;
+
+  while (ticksRun < options.ticks && !stopRequested && state.status === 'RUNNING') {
+    const tick = state.tick;
+    const startedAt = Date.now();
+
+    await simulator.executeTick();
+    ticksRun++;
+
+    state = await db.collection('world_states').findOne({ simulationId });
+    printTick(summarize(state, tick, startedAt), options.json);
+  }
+
+  // Leave the simulation resumable from the API rather than looking alive
+  if (state.status === 'RUNNING') {
+    await db.collection('world_states').updateOne(
+      { simulationId, status: 'RUNNING' },
+      { $set: { status: 'PAUSED', pausedReason: 'BATCH_FINISHED', updatedAt: new Date() } }
+    );
+    state.status = 'PAUSED';
+    state.pausedReason = 'BATCH_FINISHED';
+  }
+  await db.collection('world_states').updateOne({ simulationId }, { $unset: { runner: '' } });
+
+  const result = {
+    type: 'end',
+    simulationId,
+    ticksRun,
+    tick: state.tick,
+    year: state.year,
+    status: state.status,
+    completionReason: state.completionReason || null,
+    pausedReason: state.pausedReason || null,
+    error: state.error || null,
+    stoppedBy: stopRequested,
+    stabilityIndex: state.metrics?.stabilityIndex
+  };
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(result)}\n`);
+  } else {
+    process.stdout.write(`🏁 ${simulationId}: ${ticksRun} ticks run, now ${result.status} at tick ${result.tick}` +
+      `${result.completionReason ? ` (${result.completionReason})` : ''}` +
+      `${result.pausedReason ? ` (${result.pausedReason})` : ''}${result.error ? ` (${result.error})` : ''}` +
+      `${result.stoppedBy ? `, stopped by ${result.stoppedBy}` : ''}\n`);
+  }
+
+  await closeDB();
+  return state.status === 'FAILED' ? 1 : 0;
+}
+
+run()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Batch run failed:', error.message);
+    process.exit(1);
+  });
@@ -28,8 +28,24 @@ export async function connectDB() {
 
     // Create indexes for better performance
     await db.collection('world_states').createIndex({ simulationId: 1 });
+    await db.collection('world_states').createIndex({ 'lineage.parentId': 1 });
+    await db.collection('world_states').createIndex({ ownerId: 1, createdAt: -1 });
+    await db.collection('world_states').createIndex({ 'ensemble.ensembleId': 1 });
     await db.collection('agent_configs').createIndex({ simulationId: 1 });
     await db.collection('event_logs').createIndex({ simulationId: 1, tick: -1 });
+    // Scenario ids are unique per owner; drop the old global index if present
+    await db.collection('scenarios').dropIndex('scenarioId_1').catch(() => {});
+    await db.collection('scenarios').createIndex({ ownerId: 1, scenarioId: 1 }, { unique: true });
+    await db.collection('users').createIndex({ userId: 1 }, { unique: true });
+    await db.collection('users').createIndex({ tokenHash: 1 }, { unique: true });
+    await db.collection('shares').createIndex({ tokenHash: 1 }, { unique: true });
+    await db.collection('shares').createIndex({ simulationId: 1 });
+    await db.collection('world_snapshots').createIndex({ simulationId: 1, tick: 1 }, { unique: true });
+    await db.collection('ensembles').createIndex({ ensembleId: 1 }, { unique: true });
+    await db.collection('ensembles').createIndex({ ownerId: 1, createdAt: -1 });
+    await db.collection('history_chapters').createIndex({ simulationId: 1, index: 1 }, { unique: true });
+    await db.collection('usage').createIndex({ simulationId: 1 }, { unique: true });
+    await db.collection('agent_cassettes').createIndex({ simulationId: 1, tick: 1, agentId: 1, phase: 1, sequence: 1 });
 
     return db;
   } catch (error) {
@@ -44,14 +60,3 @@ export async function closeDB() {
     console.log('🔒 MongoDB connection closed');
   }
 }
-
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  await closeDB();
-  process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-  await closeDB();
-  process.exit(0);
-});
@@ -4,8 +4,15 @@
 
 export const WorldStateSchema = {
   simulationId: String,
+  ownerId: String,        // userId of the creator; 'admin' for admin-created simulations
   tick: Number,
   year: Number,
+  startYear: Number,      // scenario start year; elapsed years = year - startYear
+  scenarioId: String,     // null for inline or default scenarios
+  initialScenario: Object, // scenario definition the simulation started from
+  initialState: Object,   // forks (and their replays): { tick, year, countries, globalEvents, wars, tradeAgreements, intel, metrics } the first tick ran on
+  seed: Number,           // RNG seed (number or string); replays stochastic steps exactly
+  resolutionMode: String, // llm, rules, hybrid (rules decide numbers, LLM narrates)
   worldName: String,
   description: String,
   countries: [
@@ -31,35 +38,222 @@ export const WorldStateSchema = {
       type: String,         // WAR, PEACE, ALLIANCE, COLLAPSE, INNOVATION, REBELLION
       actors: [String],
       description: String,
-      impact: Object
+      impact: Object,
+      negotiation: Object,  // { outcome: AGREED|REJECTED|EXPIRED, terms, rounds } for negotiated proposals
+      treaty: Object        // TREATY events: { action, terms, rounds }
     }
   ],
+  wars: [
+    {
+      id: String,
+      attackers: [String],  // coalition members, primary belligerent first
+      defenders: [String],
+      startTick: Number,
+      startYear: Number,
+      fronts: [Object],     // { attacker, defender, balance -100..100 (>0 favours attacker) }
+      exhaustion: Object,   // { countryId: 0-100 }
+      casualties: Object,   // { countryId: population lost }
+      capitulated: [String], // collapsed members no longer fighting
+      status: String,       // ACTIVE, ENDED
+      endTick: Number,
+      endYear: Number,
+      outcome: Object       // { type: VICTORY|STALEMATE|CEASEFIRE, winner: ATTACKERS|DEFENDERS|null }
+    }
+  ],
+  tradeAgreements: [
+    {
+      id: String,
+      partners: [String],   // the two trading countries
+      startTick: Number,
+      startYear: Number,
+      dependency: Object,   // { countryId: 0-100 } reliance on the partner
+      disrupted: Boolean,   // a partner is at war, flows are halved
+      lastFlows: Object,    // { countryId: { resources, technology } }
+      status: String,       // ACTIVE, ENDED
+      endTick: Number,
+      endYear: Number,
+      endReason: String     // EMBARGO, WAR, COLLAPSE
+    }
+  ],
+  intel: Object,           // { observerId: { targetId: { quality 0-100, updatedTick } } }
   metrics: {
     stabilityIndex: Number,
     explanation: String,
     ideologicalDiversity: Number,
     conflictLevel: Number,
-    survivalRate: Number
+    survivalRate: Number,
+    avgStability: Number,
+    powerImbalance: Number,     // normalized power variance, 0-100
+    tradeIntegration: Number,   // % of country pairs with an active trade agreement
+    avgTradeDependency: Number
   },
   status: String,         // RUNNING, PAUSED, COMPLETED, FAILED
+  pausedReason: String,   // BUDGET_EXCEEDED (budget cap), SHUTDOWN (resumed at next boot) or BATCH_FINISHED
+  completionReason: String, // TIME_LIMIT, HEGEMONY, TOTAL_COLLAPSE, PERFECT_ORDER (shouldTerminate) or DURATION_LIMIT
+  ensemble: {             // ensemble members only
+    ensembleId: String,
+    index: Number         // position of the run within the ensemble
+  },
+  runner: String,         // 'batch' while the headless batch runner is ticking it (skipped by boot recovery)
+  schedule: {
+    tickIntervalMinutes: Number,  // any positive number; null when cron is set
+    cron: String,           // five-field cron expression
+    timezone: String,       // cron only; server time when null
+    durationHours: Number,  // null for unlimited
+    endsAt: Date,           // absolute end time; honoured across restarts
+    nextTickAt: Date        // when the next tick is due while running
+  },
+  budget: {               // optional; null for no cap
+    maxCostUsd: Number,
+    maxTokens: Number
+  },
+  historian: {            // optional; defaults apply when null
+    intervalYears: Number,  // years per history chapter (default 10)
+    style: String           // style prompt for the historian's chapters
+  },
+  lineage: {              // forks only
+    parentId: String,
+    rootId: String,
+    forkTick: Number,     // parent tick whose snapshot was cloned
+    overrides: Object
+  },
+  createdAt: Date,
+  updatedAt: Date
+};
+
+export const ScenarioSchema = {
+  scenarioId: String,     // unique per owner
+  ownerId: String,
+  name: String,
+  worldName: String,
+  description: String,
+  startYear: Number,
+  countries: [Object],    // same shape as WorldStateSchema.countries
+  initialTensions: [String],
+  simulationGoals: [String],
   createdAt: Date,
   updatedAt: Date
 };
 
+export const WorldSnapshotSchema = {
+  simulationId: String,
+  tick: Number,           // state after this tick was resolved
+  year: Number,
+  countries: [Object],    // stats, alliances and tensions only (no history)
+  wars: [Object],
+  tradeAgreements: [Object],
+  intel: Object,
+  metrics: Object,       // all WorldStateSchema.metrics fields; read by the timeseries endpoint
+  status: String,
+  createdAt: Date
+};
+
 export const AgentConfigSchema = {
   simulationId: String,
+  ownerId: String,
   agents: [
     {
       id: String,
-      role: String,       // OVERSEER, LEADER, THINKER, STRATEGIST
-      apiKey: String,
+      role: String,       // OVERSEER, LEADER, THINKER, STRATEGIST, HISTORIAN
+      provider: String,   // gemini, mock
+      apiKey: String,     // AES-256-GCM encrypted (enc:v1:...); null for keyless providers
+      script: Object,     // mock provider only: { phase: [responses] }
       countryId: String,  // null for neutral agents
       personality: String,
-      memory: [String],
+      memory: [Object],   // { tick, year, kind: DECISION|OUTCOME|EVENT, type, actors, text, importance }, max 40
+      memorySummaries: [Object],  // { fromTick, toTick, fromYear, toYear, summary, lessons }, max 10
       lastAction: Object,
-      decisionHistory: [Object]
+      decisionHistory: [Object],
+      validationFailures: Object  // { total, <phase>: count } of rejected outputs
     }
-  ]
+  ],
+  concurrency: Number,          // max concurrent agent calls; null uses AGENT_CONCURRENCY (default 4)
+  cassette: {
+    mode: String,               // record, replay, off
+    sourceSimulationId: String  // replay only: simulation whose recordings are served
+  }
+};
+
+export const AgentCassetteSchema = {
+  simulationId: String,
+  tick: Number,
+  agentId: String,
+  role: String,
+  phase: String,         // decision, resolution, overseer, thinker, strategist, historian
+  sequence: Number,      // order of this agent's calls for the phase within the tick (rewrites: tick null, phase <phase>_rewrite)
+  prompt: String,
+  response: Object,
+  recordedAt: Date
+};
+
+export const UserSchema = {
+  userId: String,
+  name: String,
+  tokenHash: String,     // SHA-256 of the bearer token; the token itself is never stored
+  createdAt: Date
+};
+
+// Read-only share links for one simulation
+export const ShareSchema = {
+  shareId: String,
+  simulationId: String,
+  role: String,          // VIEWER
+  label: String,
+  tokenHash: String,
+  createdBy: String,     // userId
+  createdAt: Date,
+  expiresAt: Date,       // null for no expiry
+  revokedAt: Date        // null while active
+};
+
+// One document per simulation; every breakdown entry holds
+// { calls, promptTokens, outputTokens, totalTokens, costUsd }
+export const UsageSchema = {
+  simulationId: String,
+  totals: Object,
+  byAgent: Object,       // agent id -> totals
+  byRole: Object,        // LEADER, OVERSEER, ... -> totals
+  byPhase: Object,       // decision, resolution, negotiation, ... -> totals
+  byModel: Object,       // model name (dots as _) -> totals
+  byTick: Object,        // tick -> totals
+  createdAt: Date,
+  updatedAt: Date
+};
+
+// A group of seeded runs of one scenario, reported on together
+export const EnsembleSchema = {
+  ensembleId: String,
+  ownerId: String,
+  name: String,
+  scenarioId: String,    // null for inline or default scenarios
+  worldName: String,
+  runs: Number,          // number of member simulations
+  seeds: [Object],       // seed of each run (number or string), by index
+  simulationIds: [String], // member simulations, by index
+  resolutionMode: String,
+  schedule: Object,      // schedule shared by every run
+  error: String,         // set when creating the runs failed; the runs started are FAILED
+  createdAt: Date
+};
+
+// One chapter of a simulation's history book, written by the historian agent
+export const HistoryChapterSchema = {
+  simulationId: String,
+  index: Number,         // chapter number; chapter i covers years startYear + i * intervalYears onwards
+  fromYear: Number,
+  toYear: Number,        // last year recorded in the chapter
+  fromTick: Number,
+  toTick: Number,
+  complete: Boolean,     // false when the simulation ended mid-era
+  title: String,
+  narrative: String,
+  keyFigures: [Object],  // { name, countryId, role }
+  turningPoints: [Object], // { year, event, significance }
+  causes: [String],
+  style: String,         // style prompt it was written in; null for the default voice
+  version: Number,       // 1 when first written, incremented by each rewrite
+  createdAt: Date,
+  updatedAt: Date
 };
 
 export const EventLogSchema = {
@@ -95,6 +289,93 @@ export function validateWorldState(state) {
   return true;
 }
 
+/**
+ * Validates a scenario definition, returning a list of errors (empty when valid)
+ */
+export function validateScenario(scenario) {
+  const errors = [];
+
+  if (!scenario || typeof scenario !== 'object') {
+    return ['Scenario must be an object'];
+  }
+  if (typeof scenario.worldName !== 'string' || !scenario.worldName.trim()) {
+    errors.push('worldName is required');
+  }
+  if (scenario.startYear !== undefined && !Number.isInteger(scenario.startYear)) {
+    errors.push('startYear must be an integer');
+  }
+  if (!Array.isArray(scenario.countries) || scenario.countries.length === 0) {
+    errors.push('countries must be a non-empty array');
+    return errors;
+  }
+
+  const ids = scenario.countries.map(c => c?.id);
+  const seen = new Set();
+  for (const id of ids) {
+    if (typeof id !== 'string' || !id.trim()) {
+      errors.push('Every country needs a string id');
+    } else if (seen.has(id)) {
+      errors.push(`Duplicate country id: ${id}`);
+    }
+    seen.add(id);
+  }
+
+  for (const country of scenario.countries) {
+    const label = country?.name || country?.id || 'unnamed country';
+
+    if (typeof country?.name !== 'string' || !country.name.trim()) {
+      errors.push(`Country ${country?.id} needs a name`);
+    }
+    if (typeof country?.ideology !== 'string' || !country.ideology.trim()) {
+      errors.push(`${label} needs an ideology`);
+    }
+
+    for (const stat of ['power', 'stability', 'technology', 'resources']) {
+      const value = country?.[stat];
+      if (typeof value !== 'number' || value < 0 || value > 100) {
+        errors.push(`Invalid ${stat} value for ${label}`);
+      }
+    }
+    if (typeof country?.population !== 'number' || country.population < 0) {
+      errors.push(`Invalid population value for ${label}`);
+    }
+
+    const alliances = country?.alliances ?? [];
+    if (!Array.isArray(alliances)) {
+      errors.push(`alliances for ${label} must be an array`);
+    } else {
+      for (const allyId of alliances) {
+        const ally = scenario.countries.find(c => c?.id === allyId);
+        if (allyId === country.id) {
+          errors.push(`${label} cannot be allied with itself`);
+        } else if (!ally) {
+          errors.push(`${label} is allied with unknown country ${allyId}`);
+        } else if (!(ally.alliances || []).includes(country.id)) {
+          errors.push(`Alliance ${country.id} → ${allyId} is not reciprocated`);
+        }
+      }
+    }
+
+    const tensions = country?.tensions ?? {};
+    if (typeof tensions !== 'object' || Array.isArray(tensions)) {
+      errors.push(`tensions for ${label} must be an object`);
+    } else {
+      for (const [targetId, level] of Object.entries(tensions)) {
+        if (targetId === country.id) {
+          errors.push(`${label} cannot have tension with itself`);
+        } else if (!ids.includes(targetId)) {
+          errors.push(`${label} has tension with unknown country ${targetId}`);
+        }
+        if (typeof level !== 'number' || level < -100 || level > 100) {
+          errors.push(`Invalid tension ${label} → ${targetId} (must be -100 to 100)`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
 export function clampValue(value, min = 0, max = 100) {
   return Math.max(min, Math.min(max, value));
 }
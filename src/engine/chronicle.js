@@ -0,0 +1,605 @@
+import { downsample } from './timeseries.js';
+
+/**
+ * Chronicle export: the full history of a simulation rendered as Markdown or
+ * as a self-contained HTML page with inline SVG charts.
+ *
+ * The history is rebuilt from the TICK_SUMMARY event logs (every resolved
+ * event, overseer insight and thinker reflection) and the per-tick snapshots
+ * (metrics and country stats), then grouped into eras of a fixed number of
+ * years.
+ */
+
+export const CHRONICLE_FORMATS = ['markdown', 'html'];
+
+const MAX_ERAS = 12;
+const MAX_CHART_POINTS = 300;
+const CHART_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#65a30d', '#475569', '#ea580c'];
+
+/**
+ * Era length giving at most MAX_ERAS eras, in whole decades
+ */
+export function defaultEraYears(totalYears) {
+  return Math.max(10, Math.ceil(totalYears / MAX_ERAS / 10) * 10);
+}
+
+/**
+ * Consecutive eras covering [startYear, endYear]
+ */
+export function buildEras(startYear, endYear, eraYears) {
+  const eras = [];
+  for (let fromYear = startYear; fromYear <= endYear; fromYear += eraYears) {
+    eras.push({ index: eras.length, fromYear, toYear: Math.min(fromYear + eraYears - 1, endYear) });
+  }
+  return eras;
+}
+
+function eraOf(eras, year) {
+  return eras.find(era => year >= era.fromYear && year <= era.toYear) || null;
+}
+
+function countryStats(country) {
+  return {
+    power: country.power,
+    stability: country.stability,
+    technology: country.technology,
+    resources: country.resources,
+    population: country.population
+  };
+}
+
+function describeOutcome(war, nameOf) {
+  if (war.status === 'ACTIVE') return 'ongoing';
+  if (!war.outcome) return 'ended';
+
+  const { type, winner } = war.outcome;
+  if (type === 'VICTORY' && winner) {
+    const side = winner === 'ATTACKERS' ? war.attackers : war.defenders;
+    return `victory for ${side.map(nameOf).join(', ')}`;
+  }
+  return type.toLowerCase();
+}
+
+/**
+ * Arc of one country across the snapshots: where it started, when it peaked,
+ * how it ended and, if it did not survive, the year it fell for good
+ */
+function buildCountryArc(country, initial, snapshots, state, nameOf) {
+  const history = snapshots
+    .map(s => ({ year: s.year, country: s.countries.find(c => c.id === country.id) }))
+    .filter(entry => entry.country);
+
+  const peak = history.reduce((best, entry) =>
+    !best || entry.country.power > best.country.power ? entry : best,
+    null
+  );
+
+  const survived = country.stability > 20;
+  let collapsedYear = null;
+  if (!survived) {
+    for (let i = history.length - 1; i >= 0 && history[i].country.stability <= 20; i--) {
+      collapsedYear = history[i].year;
+    }
+  }
+
+  const wars = (state.wars || []).filter(w => w.attackers.includes(country.id) || w.defenders.includes(country.id));
+
+  return {
+    id: country.id,
+    name: country.name,
+    ideology: country.ideology,
+    description: country.description || initial?.description || null,
+    start: countryStats(initial || history[0]?.country || country),
+    peak: peak ? { year: peak.year, power: peak.country.power } : null,
+    final: countryStats(country),
+    survived,
+    collapsedYear,
+    wars: wars.length,
+    alliances: (country.alliances || []).map(nameOf)
+  };
+}
+
+/**
+ * Compares the overseer's first predictions in an era with how the rest of
+ * the era actually unfolded
+ */
+function buildPredictionCheck(era, ticks, snapshots) {
+  const predicted = ticks.find(t => t.overseer?.predictions?.length > 0);
+  if (!predicted) return null;
+
+  const later = ticks.filter(t => t.tick > predicted.tick);
+  const before = snapshots.find(s => s.tick === predicted.tick);
+  const after = snapshots.filter(s => s.tick >= predicted.tick).pop();
+
+  const eventCounts = {};
+  for (const event of later.flatMap(t => t.events)) {
+    eventCounts[event.type] = (eventCounts[event.type] || 0) + 1;
+  }
+
+  return {
+    year: predicted.year,
+    predictions: predicted.overseer.predictions,
+    patterns: predicted.overseer.emergingPatterns || [],
+    outcome: {
+      toYear: after?.year ?? era.toYear,
+      stabilityFrom: before?.metrics?.stabilityIndex ?? null,
+      stabilityTo: after?.metrics?.stabilityIndex ?? null,
+      survivorsFrom: before ? before.countries.filter(c => c.stability > 20).length : null,
+      survivorsTo: after ? after.countries.filter(c => c.stability > 20).length : null,
+      eventCounts
+    }
+  };
+}
+
+/**
+ * Assembles the chronicle from the simulation's state, its event logs (sorted
+ * by tick) and its snapshots (sorted by tick)
+ */
+export function buildChronicle(state, logs, snapshots, { eraYears = null } = {}) {
+  const startYear = state.startYear || 0;
+  const lastYear = Math.max(startYear, snapshots[snapshots.length - 1]?.year ?? state.year - 1);
+  const eraLength = eraYears || defaultEraYears(lastYear - startYear + 1);
+  const eras = buildEras(startYear, lastYear, eraLength);
+
+  const names = new Map();
+  for (const country of [...(state.initialScenario?.countries || []), ...state.countries]) {
+    names.set(country.id, country.name);
+  }
+  const nameOf = (id) => names.get(id) || id;
+
+  const ticks = logs
+    .filter(log => log.eventType === 'TICK_SUMMARY')
+    .map(log => ({
+      tick: log.tick,
+      year: log.year,
+      events: (log.events || []).map(e => ({ ...e, year: log.year, actors: (e.actors || []).map(nameOf) })),
+      overseer: log.overseerInsights || null,
+      thinker: log.philosophicalInsight || null
+    }));
+
+  const wars = (state.wars || []).map(war => ({
+    id: war.id,
+    attackers: war.attackers.map(nameOf),
+    defenders: war.defenders.map(nameOf),
+    startYear: war.startYear,
+    endYear: war.endYear ?? null,
+    status: war.status,
+    outcome: describeOutcome(war, nameOf),
+    casualties: Object.values(war.casualties || {}).reduce((sum, n) => sum + n, 0)
+  }));
+
+  const chronicleEras = eras.map(era => {
+    const eraTicks = ticks.filter(t => t.year >= era.fromYear && t.year <= era.toYear);
+    const eraSnapshots = snapshots.filter(s => s.year >= era.fromYear && s.year <= era.toYear);
+    const stability = eraSnapshots.map(s => s.metrics?.stabilityIndex).filter(v => typeof v === 'number');
+
+    const reflections = [];
+    const seen = new Set();
+    for (const t of eraTicks) {
+      const question = t.thinker?.philosophicalQuestion;
+      if (!question || seen.has(question)) continue;
+      seen.add(question);
+      reflections.push({ year: t.year, question, analysis: t.thinker.moralAnalysis || null });
+    }
+
+    return {
+      ...era,
+      stability: stability.length > 0
+        ? { start: stability[0], end: stability[stability.length - 1], min: Math.min(...stability), max: Math.max(...stability) }
+        : null,
+      events: eraTicks.flatMap(t => t.events),
+      warsStarted: wars.filter(w => eraOf(eras, w.startYear) === era),
+      warsEnded: wars.filter(w => w.endYear !== null && eraOf(eras, w.endYear) === era),
+      prediction: buildPredictionCheck(era, eraTicks, eraSnapshots),
+      reflections
+    };
+  });
+
+  const initialById = new Map((state.initialScenario?.countries || []).map(c => [c.id, c]));
+  const survivors = state.countries.filter(c => c.stability > 20);
+  const dominant = survivors.reduce((prev, curr) =>
+    curr.power > prev.power ? curr : prev,
+    survivors[0] || null
+  );
+
+  const alliancePairs = new Set();
+  for (const country of state.countries) {
+    for (const ally of country.alliances || []) {
+      alliancePairs.add([nameOf(country.id), nameOf(ally)].sort().join(' & '));
+    }
+  }
+
+  return {
+    simulationId: state.simulationId,
+    worldName: state.worldName,
+    description: state.description || null,
+    status: state.status,
+    completionReason: state.completionReason || null,
+    seed: state.seed ?? null,
+    resolutionMode: state.resolutionMode || 'llm',
+    lineage: state.lineage || null,
+    startYear,
+    endYear: lastYear,
+    ticks: snapshots.length,
+    eraYears: eraLength,
+    final: {
+      stabilityIndex: state.metrics?.stabilityIndex ?? null,
+      explanation: state.metrics?.explanation || null,
+      survivors: survivors.length,
+      totalCountries: state.countries.length,
+      dominantPower: dominant?.name || null,
+      dominantIdeology: dominant?.ideology || null
+    },
+    eras: chronicleEras,
+    countries: state.countries.map(c => buildCountryArc(c, initialById.get(c.id), snapshots, state, nameOf)),
+    wars,
+    alliances: {
+      formed: ticks.flatMap(t => t.events).filter(e => e.type === 'ALLIANCE'),
+      standing: [...alliancePairs]
+    },
+    series: downsample(snapshots, { maxPoints: MAX_CHART_POINTS }).snapshots.map(s => ({
+      year: s.year,
+      metrics: s.metrics || {},
+      countries: Object.fromEntries(s.countries.map(c => [c.id, c]))
+    })),
+    generatedAt: new Date()
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Markdown
+// -----------------------------------------------------------------------------
+
+function mdText(value) {
+  return String(value ?? '').replace(/\s*\n\s*/g, ' ').replace(/([\\`*_|<>[\]])/g, '\\$1');
+}
+
+function mdTable(header, rows) {
+  return [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell => mdText(cell)).join(' | ')} |`)
+  ].join('\n');
+}
+
+function formatEventCounts(counts) {
+  const entries = Object.entries(counts);
+  return entries.length > 0
+    ? entries.map(([type, n]) => `${n} ${type.toLowerCase()}`).join(', ')
+    : 'no further events';
+}
+
+function statRow(label, stats) {
+  return [label, stats.power, stats.stability, stats.technology, stats.resources, stats.population?.toLocaleString('en-US')];
+}
+
+function formatStabilityRange(stability) {
+  return stability ? `${stability.start} → ${stability.end} (low ${stability.min}, high ${stability.max})` : 'n/a';
+}
+
+export function renderChronicleMarkdown(chronicle) {
+  const lines = [];
+  const { final } = chronicle;
+
+  lines.push(`# Chronicle of ${mdText(chronicle.worldName)}`, '');
+  if (chronicle.description) lines.push(`_${mdText(chronicle.description)}_`, '');
+
+  lines.push(
+    `- **Simulation:** ${chronicle.simulationId}`,
+    `- **Years:** ${chronicle.startYear} – ${chronicle.endYear} (${chronicle.ticks} ticks, eras of ${chronicle.eraYears} years)`,
+    `- **Status:** ${chronicle.status}${chronicle.completionReason ? ` (${chronicle.completionReason})` : ''}`,
+    `- **Seed:** ${chronicle.seed ?? 'n/a'} · **Resolution:** ${chronicle.resolutionMode}`,
+    `- **Final stability index:** ${final.stabilityIndex ?? 'n/a'}/100`,
+    `- **Survivors:** ${final.survivors}/${final.totalCountries}`,
+    `- **Dominant power:** ${mdText(final.dominantPower || 'None')} (${mdText(final.dominantIdeology || 'none')})`,
+    ''
+  );
+  if (chronicle.lineage) {
+    lines.push(`Forked from ${chronicle.lineage.parentId} at tick ${chronicle.lineage.forkTick}.`, '');
+  }
+  if (final.explanation) lines.push(`> ${mdText(final.explanation)}`, '');
+
+  lines.push('## Metrics by era', '');
+  lines.push(mdTable(
+    ['Era', 'Stability', 'Events', 'Wars started', 'Wars ended'],
+    chronicle.eras.map(era => [
+      `${era.fromYear}–${era.toYear}`,
+      formatStabilityRange(era.stability),
+      era.events.length,
+      era.warsStarted.length,
+      era.warsEnded.length
+    ])
+  ), '');
+
+  lines.push('## Timeline', '');
+  for (const era of chronicle.eras) {
+    lines.push(`### Era ${era.index + 1}: years ${era.fromYear}–${era.toYear}`, '');
+    lines.push(`Stability: ${formatStabilityRange(era.stability)}`, '');
+
+    if (era.events.length === 0) {
+      lines.push('_No recorded events._', '');
+    } else {
+      for (const event of era.events) {
+        lines.push(`- **${event.year}** · ${mdText(event.type)} — ${mdText(event.description)}`);
+      }
+      lines.push('');
+    }
+
+    if (era.prediction) {
+      const { outcome } = era.prediction;
+      lines.push(`**Overseer, year ${era.prediction.year}, predicted:**`, '');
+      for (const prediction of era.prediction.predictions) lines.push(`- ${mdText(prediction)}`);
+      lines.push(
+        '',
+        `**What happened by year ${outcome.toYear}:** stability ${outcome.stabilityFrom ?? '?'} → ${outcome.stabilityTo ?? '?'}, ` +
+        `survivors ${outcome.survivorsFrom ?? '?'} → ${outcome.survivorsTo ?? '?'}; ${mdText(formatEventCounts(outcome.eventCounts))}.`,
+        ''
+      );
+    }
+
+    if (era.reflections.length > 0) {
+      lines.push('**Reflections:**', '');
+      for (const reflection of era.reflections) {
+        lines.push(`> _${mdText(reflection.question)}_ (year ${reflection.year})${reflection.analysis ? `  \n> ${mdText(reflection.analysis)}` : ''}`, '');
+      }
+    }
+  }
+
+  lines.push('## Nations', '');
+  for (const country of chronicle.countries) {
+    lines.push(`### ${mdText(country.name)} — ${mdText(country.ideology)}`, '');
+    if (country.description) lines.push(`_${mdText(country.description)}_`, '');
+    lines.push(mdTable(
+      ['', 'Power', 'Stability', 'Technology', 'Resources', 'Population'],
+      [statRow('Start', country.start), statRow('Final', country.final)]
+    ), '');
+    const fate = country.survived
+      ? 'Survived'
+      : `Collapsed${country.collapsedYear !== null ? ` in year ${country.collapsedYear}` : ''}`;
+    lines.push(
+      `${fate}. ${country.peak ? `Peak power ${country.peak.power} in year ${country.peak.year}. ` : ''}` +
+      `Fought ${country.wars} war${country.wars === 1 ? '' : 's'}. ` +
+      `Allies: ${country.alliances.length > 0 ? mdText(country.alliances.join(', ')) : 'none'}.`,
+      ''
+    );
+  }
+
+  lines.push('## Wars', '');
+  if (chronicle.wars.length === 0) {
+    lines.push('_No wars were fought._', '');
+  } else {
+    lines.push(mdTable(
+      ['Attackers', 'Defenders', 'Years', 'Outcome', 'Casualties'],
+      chronicle.wars.map(w => [
+        w.attackers.join(', '),
+        w.defenders.join(', '),
+        `${w.startYear}–${w.endYear ?? ''}`,
+        w.outcome,
+        w.casualties.toLocaleString('en-US')
+      ])
+    ), '');
+  }
+
+  lines.push('## Alliances', '');
+  if (chronicle.alliances.formed.length === 0) {
+    lines.push('_No alliances were recorded._');
+  } else {
+    for (const event of chronicle.alliances.formed) {
+      lines.push(`- **${event.year}** — ${mdText(event.description)}`);
+    }
+  }
+  lines.push(
+    '',
+    `Standing alliances: ${chronicle.alliances.standing.length > 0 ? mdText(chronicle.alliances.standing.join('; ')) : 'none'}.`,
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+// -----------------------------------------------------------------------------
+// HTML
+// -----------------------------------------------------------------------------
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function htmlTable(header, rows) {
+  return `<table><thead><tr>${header.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>` +
+    `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+/**
+ * Line chart of 0-100 series over years as an inline SVG
+ */
+export function svgLineChart(title, series, { width = 720, height = 240 } = {}) {
+  const margin = { top: 28, right: 16, bottom: 28, left: 36 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+
+  const years = series.flatMap(s => s.points.map(p => p.year));
+  const minYear = Math.min(...years);
+  const maxYear = Math.max(...years);
+  const x = (year) => margin.left + (maxYear === minYear ? plotWidth / 2 : ((year - minYear) / (maxYear - minYear)) * plotWidth);
+  const y = (value) => margin.top + plotHeight - (Math.max(0, Math.min(100, value)) / 100) * plotHeight;
+
+  const grid = [0, 25, 50, 75, 100].map(v =>
+    `<line x1="${margin.left}" x2="${width - margin.right}" y1="${y(v)}" y2="${y(v)}" stroke="#e5e7eb"/>` +
+    `<text x="${margin.left - 6}" y="${y(v) + 4}" text-anchor="end">${v}</text>`
+  ).join('');
+
+  const xLabels = [...new Set([minYear, Math.round((minYear + maxYear) / 2), maxYear])].map(year =>
+    `<text x="${x(year)}" y="${height - 8}" text-anchor="middle">${year}</text>`
+  ).join('');
+
+  const lines = series.map((s, i) => {
+    const color = CHART_COLORS[i % CHART_COLORS.length];
+    const points = s.points.filter(p => typeof p.value === 'number');
+    if (points.length === 0) return '';
+    const path = points.map(p => `${x(p.year).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+    return points.length === 1
+      ? `<circle cx="${x(points[0].year)}" cy="${y(points[0].value)}" r="3" fill="${color}"/>`
+      : `<polyline points="${path}" fill="none" stroke="${color}" stroke-width="2"/>`;
+  }).join('');
+
+  const legend = series.map((s, i) =>
+    `<span><i style="background:${CHART_COLORS[i % CHART_COLORS.length]}"></i>${escapeHtml(s.label)}</span>`
+  ).join('');
+
+  return `<figure><figcaption>${escapeHtml(title)}</figcaption>` +
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(title)}">` +
+    `<g font-size="11" fill="#6b7280">${grid}${xLabels}</g>${lines}</svg>` +
+    `<div class="legend">${legend}</div></figure>`;
+}
+
+function renderCharts(chronicle) {
+  if (chronicle.series.length === 0) return '<p><em>No ticks have been resolved yet.</em></p>';
+
+  const metricSeries = (field, label) => ({
+    label,
+    points: chronicle.series.map(p => ({ year: p.year, value: p.metrics[field] }))
+  });
+  const countrySeries = (stat) => chronicle.countries.map(c => ({
+    label: c.name,
+    points: chronicle.series.map(p => ({ year: p.year, value: p.countries[c.id]?.[stat] }))
+  }));
+
+  return [
+    svgLineChart('World metrics', [
+      metricSeries('stabilityIndex', 'Stability index'),
+      metricSeries('conflictLevel', 'Conflict level'),
+      metricSeries('survivalRate', 'Survival rate'),
+      metricSeries('ideologicalDiversity', 'Ideological diversity')
+    ]),
+    svgLineChart('Power by nation', countrySeries('power')),
+    svgLineChart('Stability by nation', countrySeries('stability'))
+  ].join('\n');
+}
+
+const STYLE = `
+body { font-family: Georgia, 'Times New Roman', serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; line-height: 1.5; }
+h1, h2, h3 { font-family: system-ui, sans-serif; }
+h2 { border-bottom: 1px solid #d1d5db; padding-bottom: .25rem; margin-top: 2.5rem; }
+table { border-collapse: collapse; width: 100%; margin: .75rem 0; font-size: .9rem; }
+th, td { border: 1px solid #e5e7eb; padding: .3rem .5rem; text-align: left; }
+th { background: #f3f4f6; }
+figure { margin: 1.5rem 0; }
+figcaption { font-family: system-ui, sans-serif; font-weight: 600; }
+svg { width: 100%; height: auto; }
+.legend { font: .8rem system-ui, sans-serif; display: flex; flex-wrap: wrap; gap: .75rem; }
+.legend i { display: inline-block; width: .8rem; height: .8rem; margin-right: .3rem; vertical-align: middle; }
+.event-type { font: .75rem system-ui, sans-serif; background: #eef2ff; padding: 0 .35rem; border-radius: 3px; }
+.prediction { background: #f9fafb; border-left: 3px solid #2563eb; padding: .5rem 1rem; }
+blockquote { border-left: 3px solid #d1d5db; margin: .75rem 0; padding-left: 1rem; color: #4b5563; }
+.meta { color: #6b7280; }
+`;
+
+export function renderChronicleHtml(chronicle) {
+  const { final } = chronicle;
+  const parts = [];
+
+  parts.push(
+    `<h1>Chronicle of ${escapeHtml(chronicle.worldName)}</h1>`,
+    chronicle.description ? `<p><em>${escapeHtml(chronicle.description)}</em></p>` : '',
+    `<p class="meta">${escapeHtml(chronicle.simulationId)} · years ${chronicle.startYear}–${chronicle.endYear} · ` +
+    `${chronicle.ticks} ticks · ${escapeHtml(chronicle.status)}${chronicle.completionReason ? ` (${escapeHtml(chronicle.completionReason)})` : ''} · ` +
+    `seed ${escapeHtml(chronicle.seed ?? 'n/a')} · ${escapeHtml(chronicle.resolutionMode)} resolution</p>`,
+    chronicle.lineage
+      ? `<p class="meta">Forked from ${escapeHtml(chronicle.lineage.parentId)} at tick ${escapeHtml(chronicle.lineage.forkTick)}.</p>`
+      : '',
+    htmlTable(
+      ['Final stability', 'Survivors', 'Dominant power', 'Dominant ideology'],
+      [[`${final.stabilityIndex ?? 'n/a'}/100`, `${final.survivors}/${final.totalCountries}`, final.dominantPower || 'None', final.dominantIdeology || 'none']]
+    ),
+    final.explanation ? `<blockquote>${escapeHtml(final.explanation)}</blockquote>` : '',
+    '<h2>Metrics</h2>',
+    renderCharts(chronicle)
+  );
+
+  parts.push('<h2>Timeline</h2>');
+  for (const era of chronicle.eras) {
+    parts.push(
+      `<h3>Era ${era.index + 1}: years ${era.fromYear}–${era.toYear}</h3>`,
+      `<p class="meta">Stability ${escapeHtml(formatStabilityRange(era.stability))}</p>`
+    );
+
+    parts.push(era.events.length === 0
+      ? '<p><em>No recorded events.</em></p>'
+      : `<ul>${era.events.map(e =>
+        `<li><strong>${e.year}</strong> <span class="event-type">${escapeHtml(e.type)}</span> ${escapeHtml(e.description)}</li>`
+      ).join('')}</ul>`);
+
+    if (era.prediction) {
+      const { outcome } = era.prediction;
+      parts.push(
+        `<div class="prediction"><p><strong>Overseer, year ${era.prediction.year}, predicted:</strong></p>` +
+        `<ul>${era.prediction.predictions.map(p => `<li>${escapeHtml(p)}</li>`).join('')}</ul>` +
+        `<p><strong>What happened by year ${outcome.toYear}:</strong> stability ${outcome.stabilityFrom ?? '?'} → ${outcome.stabilityTo ?? '?'}, ` +
+        `survivors ${outcome.survivorsFrom ?? '?'} → ${outcome.survivorsTo ?? '?'}; ${escapeHtml(formatEventCounts(outcome.eventCounts))}.</p></div>`
+      );
+    }
+
+    for (const reflection of era.reflections) {
+      parts.push(
+        `<blockquote><em>${escapeHtml(reflection.question)}</em> (year ${reflection.year})` +
+        `${reflection.analysis ? `<br>${escapeHtml(reflection.analysis)}` : ''}</blockquote>`
+      );
+    }
+  }
+
+  parts.push('<h2>Nations</h2>');
+  for (const country of chronicle.countries) {
+    const fate = country.survived
+      ? 'Survived'
+      : `Collapsed${country.collapsedYear !== null ? ` in year ${country.collapsedYear}` : ''}`;
+    parts.push(
+      `<h3>${escapeHtml(country.name)} <span class="meta">— ${escapeHtml(country.ideology)}</span></h3>`,
+      country.description ? `<p><em>${escapeHtml(country.description)}</em></p>` : '',
+      htmlTable(
+        ['', 'Power', 'Stability', 'Technology', 'Resources', 'Population'],
+        [statRow('Start', country.start), statRow('Final', country.final)]
+      ),
+      `<p>${fate}. ${country.peak ? `Peak power ${country.peak.power} in year ${country.peak.year}. ` : ''}` +
+      `Fought ${country.wars} war${country.wars === 1 ? '' : 's'}. ` +
+      `Allies: ${country.alliances.length > 0 ? escapeHtml(country.alliances.join(', ')) : 'none'}.</p>`
+    );
+  }
+
+  parts.push('<h2>Wars</h2>', chronicle.wars.length === 0
+    ? '<p><em>No wars were fought.</em></p>'
+    : htmlTable(
+      ['Attackers', 'Defenders', 'Years', 'Outcome', 'Casualties'],
+      chronicle.wars.map(w => [
+        w.attackers.join(', '),
+        w.defenders.join(', '),
+        `${w.startYear}–${w.endYear ?? ''}`,
+        w.outcome,
+        w.casualties.toLocaleString('en-US')
+      ])
+    ));
+
+  parts.push('<h2>Alliances</h2>', chronicle.alliances.formed.length === 0
+    ? '<p><em>No alliances were recorded.</em></p>'
+    : `<ul>${chronicle.alliances.formed.map(e => `<li><strong>${e.year}</strong> ${escapeHtml(e.description)}</li>`).join('')}</ul>`,
+  `<p>Standing alliances: ${chronicle.alliances.standing.length > 0 ? escapeHtml(chronicle.alliances.standing.join('; ')) : 'none'}.</p>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Chronicle of ${escapeHtml(chronicle.worldName)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${parts.filter(Boolean).join('\n')}
+<p class="meta">Generated ${chronicle.generatedAt.toISOString()}</p>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,131 @@
+/**
+ * Monte Carlo ensembles: K seeded runs of one scenario, aggregated into a
+ * single report of how the world tends to turn out.
+ */
+
+export const MAX_ENSEMBLE_RUNS = 100;
+
+/**
+ * Seed of each run: consecutive numbers from a numeric seed, `seed-i` otherwise
+ */
+export function ensembleSeeds(seed, runs) {
+  return Array.from({ length: runs }, (_, i) =>
+    typeof seed === 'number' ? seed + i : `${seed}-${i}`
+  );
+}
+
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Summary statistics of a list of numbers, or null when it is empty
+ */
+export function distribution(values) {
+  const sorted = values.filter(v => typeof v === 'number' && !Number.isNaN(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    p25: round(quantile(sorted, 0.25)),
+    median: round(quantile(sorted, 0.5)),
+    mean: round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+    p75: round(quantile(sorted, 0.75)),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+function frequencies(values) {
+  const counts = {};
+  for (const value of values) {
+    counts[value] = (counts[value] || 0) + 1;
+  }
+
+  return Object.fromEntries(
+    Object.entries(counts)
+      .sort(([, a], [, b]) => b - a)
+      .map(([value, count]) => [value, { count, share: round(count / values.length) }])
+  );
+}
+
+/**
+ * Outcome of one run: how it ended, who dominated and when war first broke out
+ */
+export function summarizeRun(state) {
+  const startYear = state.startYear || 0;
+  const survivors = state.countries.filter(c => c.stability > 20);
+  const dominant = survivors.reduce((prev, curr) =>
+    curr.power > prev.power ? curr : prev,
+    survivors[0] || null
+  );
+
+  const firstWar = (state.wars || []).reduce((first, war) =>
+    !first || war.startTick < first.startTick ? war : first,
+    null
+  );
+
+  return {
+    index: state.ensemble?.index ?? null,
+    simulationId: state.simulationId,
+    seed: state.seed,
+    status: state.status,
+    terminationReason: state.completionReason || null,
+    ticks: state.tick,
+    years: state.year - startYear,
+    stabilityIndex: state.metrics?.stabilityIndex ?? null,
+    survivalRate: state.metrics?.survivalRate ?? null,
+    dominantIdeology: dominant?.ideology || null,
+    firstWar: firstWar
+      ? { tick: firstWar.startTick, years: firstWar.startYear - startYear }
+      : null
+  };
+}
+
+/**
+ * Aggregates member states and their per-tick snapshots into the ensemble report.
+ * Runs still in progress are included as they stand; termination reasons only
+ * count completed runs.
+ */
+export function buildEnsembleReport(ensemble, states, snapshots) {
+  const runs = states.map(summarizeRun).sort((a, b) => a.index - b.index);
+  const completed = runs.filter(run => run.status === 'COMPLETED');
+  const withWar = runs.filter(run => run.firstWar);
+
+  const stabilityByTick = new Map();
+  for (const snapshot of snapshots) {
+    const value = snapshot.metrics?.stabilityIndex;
+    if (typeof value !== 'number') continue;
+    if (!stabilityByTick.has(snapshot.tick)) stabilityByTick.set(snapshot.tick, []);
+    stabilityByTick.get(snapshot.tick).push(value);
+  }
+
+  return {
+    ensembleId: ensemble.ensembleId,
+    name: ensemble.name,
+    worldName: ensemble.worldName,
+    scenarioId: ensemble.scenarioId,
+    runs: runs.length,
+    status: frequencies(runs.map(run => run.status)),
+    terminationReasons: frequencies(completed.map(run => run.terminationReason || 'UNKNOWN')),
+    survivalRate: distribution(runs.map(run => run.survivalRate)),
+    finalStability: distribution(runs.map(run => run.stabilityIndex)),
+    dominantIdeology: frequencies(runs.map(run => run.dominantIdeology || 'None')),
+    timeToFirstWar: {
+      runsWithWar: withWar.length,
+      runsWithoutWar: runs.length - withWar.length,
+      ticks: distribution(withWar.map(run => run.firstWar.tick)),
+      years: distribution(withWar.map(run => run.firstWar.years))
+    },
+    stabilityOverTime: [...stabilityByTick.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([tick, values]) => ({ tick, ...distribution(values) })),
+    members: runs,
+    generatedAt: new Date()
+  };
+}
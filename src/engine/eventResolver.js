@@ -1,4 +1,16 @@
 import { WorldState } from './worldState.js';
+import { startWar, findWarBetween, endWar } from './wars.js';
+import { signTradeAgreement, findAgreementBetween, endTradeAgreement } from './trade.js';
+import { improveIntel } from './intel.js';
+import { resolveByRules } from './ruleResolver.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+
+// Proposals the target's leader negotiates before they are resolved
+const NEGOTIATED_ACTIONS = {
+  form_alliance: 'form an alliance',
+  improve_relations: 'improve relations',
+  trade_agreement: 'open trade'
+};
 
 /**
  * Resolves agent actions and determines outcomes
@@ -11,7 +23,7 @@ export class EventResolver {
     this.worldStateManager = new WorldState(db, simulationId);
   }
 
-  async resolveActions(worldState, decisions) {
+  async resolveActions(worldState, decisions, onResolution = null) {
     const events = [];
     const allChanges = {};
     const allTensionChanges = {};
@@ -19,67 +31,85 @@ export class EventResolver {
     // Prioritize actions: MILITARY > DIPLOMACY > ESPIONAGE > INTERNAL
     const sortedDecisions = this.prioritizeActions(decisions);
 
-    for (const decision of sortedDecisions) {
-      try {
-        const actorConfig = await this.getActorConfig(decision.actorId);
-        
-        if (!actorConfig) {
-          console.warn(`⚠️ No config found for actor ${decision.actorId}`);
-          continue;
-        }
+    // Decisions involving different countries are resolved concurrently, then
+    // applied in priority order so the outcome does not depend on call timing
+    for (const batch of this.batchNonConflicting(worldState, sortedDecisions)) {
+      const outcomes = await mapWithConcurrency(
+        batch,
+        this.agentManager.concurrency,
+        (decision) => this.resolveDecision(worldState, decision)
+      );
 
-        // Get AI resolution for this action
-        const resolution = await this.agentManager.resolveAction(
-          decision,
-          worldState,
-          actorConfig
-        );
-
-        // Create event from resolution
-        const event = {
-          type: this.mapActionToEventType(decision.action, decision.specificAction),
-          actors: [decision.actorId, decision.target].filter(Boolean),
-          description: resolution.description,
-          impact: resolution.changes,
-          unintendedConsequences: resolution.unintendedConsequences,
-          success: resolution.success,
-          successLevel: resolution.successLevel
-        };
-
-        events.push(event);
-
-        // Merge changes
-        for (const [countryId, changes] of Object.entries(resolution.changes || {})) {
-          if (!allChanges[countryId]) {
-            allChanges[countryId] = {};
+      for (const [index, decision] of batch.entries()) {
+        const outcome = outcomes[index];
+        if (!outcome) continue;
+
+        try {
+          if (outcome.error) {
+            throw outcome.error;
           }
-          
-          for (const [stat, value] of Object.entries(changes)) {
-            allChanges[countryId][stat] = (allChanges[countryId][stat] || 0) + value;
+
+          const { negotiation, negotiated, resolution } = outcome;
+
+          // Create event from resolution
+          const event = {
+            type: this.mapActionToEventType(decision.action, decision.specificAction),
+            actors: [decision.actorId, decision.target].filter(Boolean),
+            description: resolution.description,
+            impact: resolution.changes,
+            unintendedConsequences: resolution.unintendedConsequences,
+            success: resolution.success,
+            successLevel: resolution.successLevel
+          };
+
+          if (negotiation) {
+            event.negotiation = negotiation;
           }
-        }
 
-        // Merge tension changes
-        for (const [countryId, tensionValue] of Object.entries(resolution.newTensions || {})) {
-          if (!allTensionChanges[decision.actorId]) {
-            allTensionChanges[decision.actorId] = {};
+          events.push(event);
+
+          if (negotiation?.outcome === 'AGREED') {
+            events.push(this.createTreatyEvent(worldState, decision, negotiation));
+          }
+
+          if (onResolution) {
+            onResolution(decision, event);
+          }
+
+          // Merge changes
+          for (const [countryId, changes] of Object.entries(resolution.changes || {})) {
+            if (!allChanges[countryId]) {
+              allChanges[countryId] = {};
+            }
+            
+            for (const [stat, value] of Object.entries(changes)) {
+              allChanges[countryId][stat] = (allChanges[countryId][stat] || 0) + value;
+            }
           }
-          allTensionChanges[decision.actorId][countryId] = tensionValue;
-        }
 
-        // Handle special actions
-        await this.handleSpecialActions(worldState, decision, resolution);
-
-      } catch (error) {
-        console.error(`❌ Error resolving action for ${decision.actorId}:`, error.message);
-        
-        events.push({
-          type: 'FAILED_ACTION',
-          actors: [decision.actorId],
-          description: `${decision.actorId}'s attempt to ${decision.specificAction} failed unexpectedly`,
-          impact: {},
-          success: false
-        });
+          // Merge tension changes
+          for (const [countryId, tensionValue] of Object.entries(resolution.newTensions || {})) {
+            if (!allTensionChanges[decision.actorId]) {
+              allTensionChanges[decision.actorId] = {};
+            }
+            allTensionChanges[decision.actorId][countryId] = tensionValue;
+          }
+
+          // Handle special actions
+          const followUpEvents = await this.handleSpecialActions(worldState, negotiated, resolution);
+          events.push(...followUpEvents);
+
+        } catch (error) {
+          console.error(`❌ Error resolving action for ${decision.actorId}:`, error.message);
+          
+          events.push({
+            type: 'FAILED_ACTION',
+            actors: [decision.actorId],
+            description: `${decision.actorId}'s attempt to ${decision.specificAction} failed unexpectedly`,
+            impact: {},
+            success: false
+          });
+        }
       }
     }
 
@@ -90,6 +120,130 @@ export class EventResolver {
     };
   }
 
+  /**
+   * Negotiates (for bilateral proposals) and resolves one decision without
+   * touching the world state. Returns null when the actor has no agent config.
+   */
+  async resolveDecision(worldState, decision) {
+    try {
+      const actorConfig = await this.getActorConfig(decision.actorId);
+      
+      if (!actorConfig) {
+        console.warn(`⚠️ No config found for actor ${decision.actorId}`);
+        return null;
+      }
+
+      // Bilateral proposals are negotiated with the target's leader first
+      const negotiation = NEGOTIATED_ACTIONS[decision.specificAction] && decision.target
+        ? await this.agentManager.negotiate(decision, worldState)
+        : null;
+
+      // Get AI resolution for this action; refused proposals fail without one
+      const negotiated = negotiation ? { ...decision, negotiation } : decision;
+      const resolution = negotiation && negotiation.outcome !== 'AGREED'
+        ? this.refusedProposal(worldState, decision, negotiation)
+        : await this.resolveOutcome(negotiated, worldState, actorConfig);
+
+      return { negotiation, negotiated, resolution };
+    } catch (error) {
+      return { error };
+    }
+  }
+
+  /**
+   * Splits decisions into batches whose members share no country. A decision
+   * never moves ahead of an earlier decision it conflicts with.
+   */
+  batchNonConflicting(worldState, decisions) {
+    const batches = [];
+    const placed = [];
+
+    for (const decision of decisions) {
+      const parties = this.partiesOf(worldState, decision);
+      const lastConflict = placed
+        .filter(p => p.parties.some(id => parties.includes(id)))
+        .reduce((latest, p) => Math.max(latest, p.batch), -1);
+
+      const batch = lastConflict + 1;
+      if (!batches[batch]) batches[batch] = [];
+      batches[batch].push(decision);
+      placed.push({ parties, batch });
+    }
+
+    return batches;
+  }
+
+  /**
+   * Countries a decision can affect: actor, target and, for war, the target's allies
+   */
+  partiesOf(worldState, decision) {
+    const parties = [decision.actorId, decision.target].filter(Boolean);
+
+    if (decision.specificAction === 'declare_war') {
+      const target = worldState.countries.find(c => c.id === decision.target);
+      parties.push(...(target?.alliances || []));
+    }
+
+    return parties;
+  }
+
+  /**
+   * Resolves one decision according to the simulation's resolution mode:
+   * `llm` (default), `rules`, or `hybrid` (rules for numbers, model for narrative)
+   */
+  async resolveOutcome(decision, worldState, actorConfig) {
+    const mode = worldState.resolutionMode || 'llm';
+
+    if (mode === 'llm') {
+      return this.agentManager.resolveAction(decision, worldState, actorConfig);
+    }
+
+    const outcome = resolveByRules(decision, worldState);
+    if (mode === 'rules') {
+      return outcome;
+    }
+
+    const narrative = await this.agentManager.narrateResolution(decision, worldState, actorConfig, outcome);
+    return {
+      ...outcome,
+      description: narrative.description,
+      unintendedConsequences: narrative.unintendedConsequences || outcome.unintendedConsequences
+    };
+  }
+
+  refusedProposal(worldState, decision, negotiation) {
+    const nameOf = (id) => worldState.countries.find(c => c.id === id)?.name || id;
+    const proposal = NEGOTIATED_ACTIONS[decision.specificAction];
+    const description = negotiation.outcome === 'REJECTED'
+      ? `${nameOf(negotiation.rounds[negotiation.rounds.length - 1].from)} rejects the terms to ${proposal} after ${negotiation.rounds.length} round(s) of talks`
+      : `Talks between ${nameOf(decision.actorId)} and ${nameOf(decision.target)} to ${proposal} end without agreement`;
+
+    return {
+      success: false,
+      successLevel: 'FAILURE',
+      changes: {},
+      description,
+      unintendedConsequences: 'Failed talks leave both sides wary',
+      newTensions: { [decision.target]: -5 }
+    };
+  }
+
+  createTreatyEvent(worldState, decision, negotiation) {
+    const nameOf = (id) => worldState.countries.find(c => c.id === id)?.name || id;
+
+    return {
+      type: 'TREATY',
+      actors: [decision.actorId, decision.target],
+      description: `${nameOf(decision.actorId)} and ${nameOf(decision.target)} sign a treaty to ${NEGOTIATED_ACTIONS[decision.specificAction]}: ${negotiation.terms}`,
+      impact: {},
+      treaty: {
+        action: decision.specificAction,
+        terms: negotiation.terms,
+        rounds: negotiation.rounds.length
+      }
+    };
+  }
+
   prioritizeActions(decisions) {
     const priority = {
       'MILITARY': 1,
@@ -108,6 +262,8 @@ export class EventResolver {
       'declare_war': 'WAR',
       'ceasefire': 'PEACE',
       'form_alliance': 'ALLIANCE',
+      'trade_agreement': 'TRADE',
+      'embargo': 'EMBARGO',
       'break_alliance': 'ALLIANCE_BROKEN',
       'invest_technology': 'INNOVATION',
       'stabilize': 'INTERNAL_REFORM',
@@ -121,8 +277,13 @@ export class EventResolver {
   }
 
   async handleSpecialActions(worldState, decision, resolution) {
+    const events = [];
+
+    // A treaty both leaders agreed to binds even if carrying it out goes badly
+    const accepted = resolution.success || decision.negotiation?.outcome === 'AGREED';
+
     // Handle alliance formation/breaking
-    if (decision.specificAction === 'form_alliance' && resolution.success) {
+    if (decision.specificAction === 'form_alliance' && accepted) {
       this.worldStateManager.updateAlliances(
         worldState,
         decision.actorId,
@@ -138,24 +299,41 @@ export class EventResolver {
       );
     }
 
-    // Handle war declaration
+    // Handle war declaration: opens a war in the registry and pulls in the defender's allies
     if (decision.specificAction === 'declare_war') {
-      // Wars involve allies
-      const actor = worldState.countries.find(c => c.id === decision.actorId);
-      const target = worldState.countries.find(c => c.id === decision.target);
+      const outbreak = startWar(worldState, decision.actorId, decision.target);
+      if (outbreak) {
+        events.push(...outbreak.events);
+      }
+    }
 
-      if (actor && target) {
-        console.log(`⚔️ WAR: ${actor.name} declares war on ${target.name}!`);
-        
-        // Allied nations may join
-        for (const allyId of target.alliances) {
-          const ally = worldState.countries.find(c => c.id === allyId);
-          if (ally && ally.stability > 40) {
-            console.log(`🛡️ ${ally.name} joins the war to defend ${target.name}`);
-          }
-        }
+    // Handle ceasefire: a successful ceasefire ends the war between the two
+    if (decision.specificAction === 'ceasefire' && resolution.success) {
+      const war = findWarBetween(worldState, decision.actorId, decision.target);
+      if (war) {
+        events.push(endWar(worldState, war, 'CEASEFIRE'));
       }
     }
+
+    // Handle trade: agreements open on success, an embargo always cancels
+    if (decision.specificAction === 'trade_agreement' && accepted) {
+      const signed = signTradeAgreement(worldState, decision.actorId, decision.target);
+      if (signed) {
+        events.push(signed);
+      }
+    } else if (decision.specificAction === 'embargo') {
+      const agreement = findAgreementBetween(worldState, decision.actorId, decision.target);
+      if (agreement) {
+        events.push(endTradeAgreement(worldState, agreement, 'EMBARGO'));
+      }
+    }
+
+    // Espionage sharpens the actor's picture of the target
+    if (decision.specificAction === 'gather_intel' || decision.specificAction === 'steal_technology') {
+      improveIntel(worldState, decision.actorId, decision.target, decision.specificAction, resolution.successLevel);
+    }
+
+    return events;
   }
 
   async getActorConfig(actorId) {
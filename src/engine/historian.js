@@ -0,0 +1,224 @@
+/**
+ * History book: the historian agent writes one narrative chapter per window
+ * of years from that window's tick summaries (events, overseer assessments
+ * and thinker reflections). Chapters live in the `history_chapters`
+ * collection, one per simulation and chapter index, and can be rewritten in a
+ * different style.
+ */
+
+export const DEFAULT_HISTORY_INTERVAL_YEARS = 10;
+export const MAX_STYLE_LENGTH = 2000;
+
+// Events a historian cannot leave out; routine ones fill the remaining space
+const MAJOR_EVENT_TYPES = [
+  'WAR', 'WAR_ENDED', 'PEACE', 'CEASEFIRE', 'ALLIANCE', 'ALLIANCE_BROKEN', 'TREATY',
+  'COLLAPSE', 'REBELLION', 'INNOVATION', 'TRADE_AGREEMENT', 'EMBARGO'
+];
+const MAX_PROMPT_EVENTS = 60;
+const MAX_ASSESSMENTS = 5;
+
+/**
+ * Returns an error message for invalid historian settings ({ intervalYears, style }), or null
+ */
+export function validateHistorianSettings(settings) {
+  if (settings == null) return null;
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    return 'historian must be an object with intervalYears and/or style';
+  }
+
+  const { intervalYears, style } = settings;
+  if (intervalYears != null && (!Number.isInteger(intervalYears) || intervalYears < 1)) {
+    return 'historian.intervalYears must be a positive integer';
+  }
+
+  return validateStyle(style, 'historian.style');
+}
+
+export function validateStyle(style, name = 'style') {
+  if (style != null && (typeof style !== 'string' || style.length > MAX_STYLE_LENGTH)) {
+    return `${name} must be a string of at most ${MAX_STYLE_LENGTH} characters`;
+  }
+  return null;
+}
+
+export function historianSettings(worldState) {
+  return {
+    intervalYears: worldState.historian?.intervalYears || DEFAULT_HISTORY_INTERVAL_YEARS,
+    style: worldState.historian?.style || null
+  };
+}
+
+/**
+ * Years covered by chapter `index`
+ */
+export function chapterRange(worldState, index, intervalYears) {
+  const fromYear = (worldState.startYear || 0) + index * intervalYears;
+  return { index, fromYear, toYear: fromYear + intervalYears - 1 };
+}
+
+/**
+ * Index of the chapter containing `year`
+ */
+export function chapterIndexOf(worldState, year, intervalYears) {
+  return Math.floor((year - (worldState.startYear || 0)) / intervalYears);
+}
+
+/**
+ * Evenly spaced selection of at most `max` items, keeping the first and last
+ */
+function spread(items, max) {
+  if (items.length <= max) return items;
+  if (max <= 1) return items.slice(0, max);
+  return Array.from({ length: max }, (_, i) => items[Math.round((i * (items.length - 1)) / (max - 1))]);
+}
+
+export class Historian {
+  constructor(db, simulationId, agentManager, logger) {
+    this.db = db;
+    this.simulationId = simulationId;
+    this.agentManager = agentManager;
+    this.logger = logger;
+  }
+
+  /**
+   * What the historian reads for a range of years, or null if nothing was
+   * recorded in it. The range is cut at the last recorded year.
+   */
+  async buildWindow(worldState, { index, fromYear, toYear }, style) {
+    const logs = await this.logger.getTickSummariesForYears(fromYear, toYear);
+    if (logs.length === 0) return null;
+
+    const first = logs[0];
+    const last = logs[logs.length - 1];
+
+    const names = new Map(worldState.countries.map(c => [c.id, c.name]));
+    const events = logs.flatMap(log => (log.events || []).map(e => ({
+      year: log.year,
+      type: e.type,
+      actors: (e.actors || []).map(id => names.get(id) || id),
+      description: e.description
+    })));
+
+    // Every major event is kept; routine ones are sampled across the window to fill the rest
+    const major = events.filter(e => MAJOR_EVENT_TYPES.includes(e.type));
+    const kept = new Set([
+      ...spread(major, MAX_PROMPT_EVENTS),
+      ...spread(events.filter(e => !MAJOR_EVENT_TYPES.includes(e.type)), Math.max(0, MAX_PROMPT_EVENTS - major.length))
+    ]);
+    const selected = events.filter(e => kept.has(e));
+
+    const reflections = [];
+    const questions = new Set();
+    for (const log of logs) {
+      const question = log.philosophicalInsight?.philosophicalQuestion;
+      if (!question || questions.has(question)) continue;
+      questions.add(question);
+      reflections.push(log);
+    }
+
+    const [startSnapshot, endSnapshot, previousChapter] = await Promise.all([
+      this.db.collection('world_snapshots').findOne({ simulationId: this.simulationId, tick: first.tick }),
+      this.db.collection('world_snapshots').findOne({ simulationId: this.simulationId, tick: last.tick }),
+      index > 0
+        ? this.db.collection('history_chapters').findOne({ simulationId: this.simulationId, index: index - 1 })
+        : null
+    ]);
+
+    return {
+      index,
+      fromYear,
+      toYear: last.year,
+      fromTick: first.tick,
+      toTick: last.tick,
+      complete: last.year >= toYear,
+      style,
+      events: selected,
+      omittedEvents: events.length - selected.length,
+      overseer: spread(logs.filter(log => log.overseerInsights?.explanation), MAX_ASSESSMENTS).map(log => ({
+        year: log.year,
+        explanation: log.overseerInsights.explanation,
+        predictions: log.overseerInsights.predictions || []
+      })),
+      thinker: spread(reflections, MAX_ASSESSMENTS).map(log => ({
+        year: log.year,
+        philosophicalQuestion: log.philosophicalInsight.philosophicalQuestion,
+        moralAnalysis: log.philosophicalInsight.moralAnalysis || null
+      })),
+      stabilityFrom: startSnapshot?.metrics?.stabilityIndex ?? null,
+      stabilityTo: endSnapshot?.metrics?.stabilityIndex ?? null,
+      previousChapter: previousChapter
+        ? { title: previousChapter.title, narrative: previousChapter.narrative }
+        : null
+    };
+  }
+
+  /**
+   * Writes (or, with `rewrite`, rewrites) the chapter for a range of years.
+   * Returns the stored chapter, or null when nothing was recorded or the
+   * historian is unavailable.
+   */
+  async writeChapter(worldState, range, style = null, { rewrite = false } = {}) {
+    try {
+      const window = await this.buildWindow(worldState, range, style);
+      if (!window) return null;
+
+      const chapter = await this.agentManager.writeHistoryChapter(worldState, window, { rewrite });
+      if (!chapter) return null;
+
+      const now = new Date();
+      await this.db.collection('history_chapters').updateOne(
+        { simulationId: this.simulationId, index: window.index },
+        {
+          $set: {
+            fromYear: window.fromYear,
+            toYear: window.toYear,
+            fromTick: window.fromTick,
+            toTick: window.toTick,
+            complete: window.complete,
+            title: chapter.title,
+            narrative: chapter.narrative,
+            keyFigures: chapter.keyFigures,
+            turningPoints: chapter.turningPoints,
+            causes: chapter.causes,
+            style,
+            updatedAt: now
+          },
+          $inc: { version: 1 },
+          $setOnInsert: { createdAt: now }
+        },
+        { upsert: true }
+      );
+
+      return this.db.collection('history_chapters').findOne(
+        { simulationId: this.simulationId, index: window.index },
+        { projection: { _id: 0 } }
+      );
+    } catch (error) {
+      console.error(`❌ Failed to write chapter ${range.index}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * After a tick: writes the chapter that `year` closes, if it closes one
+   */
+  async onYearResolved(worldState, year) {
+    const { intervalYears, style } = historianSettings(worldState);
+    const index = chapterIndexOf(worldState, year, intervalYears);
+    const range = chapterRange(worldState, index, intervalYears);
+
+    if (year !== range.toYear) return null;
+    return this.writeChapter(worldState, range, style);
+  }
+
+  /**
+   * When a simulation ends: writes the unfinished last chapter, if any
+   */
+  async onSimulationEnd(worldState, lastYear) {
+    const { intervalYears, style } = historianSettings(worldState);
+    const range = chapterRange(worldState, chapterIndexOf(worldState, lastYear, intervalYears), intervalYears);
+
+    if (lastYear === range.toYear) return null; // already written by its last tick
+    return this.writeChapter(worldState, range, style);
+  }
+}
@@ -0,0 +1,108 @@
+import { clampValue } from '../db/models.js';
+import { createRng } from '../utils/random.js';
+
+/**
+ * Fog of war: what each country knows about the others.
+ *
+ * Intel quality (0-100) is stored per observer and target on
+ * `worldState.intel` as { observerId: { targetId: { quality, updatedTick } } }.
+ * Quality rises through espionage, decays every tick and is shared between
+ * allies. Leaders see noisy estimates whose error shrinks as quality rises.
+ */
+
+const BASE_QUALITY = 15;
+const ALLY_QUALITY = 70;       // allies are open with each other about themselves
+const ALLY_SHARE_FACTOR = 0.75; // intel passed on by allies loses some fidelity
+const DECAY_PER_TICK = 3;
+const MAX_ERROR = 30;
+
+const ESPIONAGE_GAINS = {
+  gather_intel: { COMPLETE: 45, PARTIAL: 25, FAILURE: 5, BACKFIRE: 0 },
+  steal_technology: { COMPLETE: 20, PARTIAL: 10, FAILURE: 0, BACKFIRE: 0 }
+};
+
+const ESTIMATED_STATS = ['power', 'stability', 'technology', 'resources'];
+
+function ownQuality(worldState, observerId, targetId) {
+  return worldState.intel?.[observerId]?.[targetId]?.quality ?? BASE_QUALITY;
+}
+
+/**
+ * Effective intel quality of observer on target, including what allies share
+ */
+export function getIntelQuality(worldState, observerId, targetId) {
+  if (observerId === targetId) return 100;
+
+  const observer = worldState.countries.find(c => c.id === observerId);
+  let quality = ownQuality(worldState, observerId, targetId);
+
+  for (const allyId of observer?.alliances || []) {
+    const shared = allyId === targetId
+      ? ALLY_QUALITY
+      : ownQuality(worldState, allyId, targetId) * ALLY_SHARE_FACTOR;
+    quality = Math.max(quality, shared);
+  }
+
+  return Math.round(quality);
+}
+
+export function confidenceLevel(quality) {
+  if (quality >= 75) return 'HIGH';
+  if (quality >= 45) return 'MEDIUM';
+  return 'LOW';
+}
+
+/**
+ * Raises the observer's intel on the target after an espionage action.
+ * Returns the new quality, or null for actions that yield no intel.
+ */
+export function improveIntel(worldState, observerId, targetId, specificAction, successLevel) {
+  const gain = ESPIONAGE_GAINS[specificAction]?.[successLevel];
+  if (gain === undefined || !targetId) return null;
+
+  if (!worldState.intel) worldState.intel = {};
+  if (!worldState.intel[observerId]) worldState.intel[observerId] = {};
+
+  const quality = clampValue(ownQuality(worldState, observerId, targetId) + gain, 0, 100);
+  worldState.intel[observerId][targetId] = { quality, updatedTick: worldState.tick };
+
+  return quality;
+}
+
+/**
+ * Lets every stored estimate go stale by one tick
+ */
+export function decayIntel(worldState) {
+  for (const targets of Object.values(worldState.intel || {})) {
+    for (const [targetId, entry] of Object.entries(targets)) {
+      entry.quality = Math.max(BASE_QUALITY, entry.quality - DECAY_PER_TICK);
+
+      if (entry.quality === BASE_QUALITY) {
+        delete targets[targetId];
+      }
+    }
+  }
+}
+
+/**
+ * Noisy view of a target's stats for the observer. The noise is seeded per
+ * tick, observer and target so estimates are stable within a tick and replayable.
+ */
+export function estimateCountry(worldState, observerId, target) {
+  const quality = getIntelQuality(worldState, observerId, target.id);
+  const margin = Math.round(MAX_ERROR * (100 - quality) / 100);
+  const rng = createRng(`${worldState.seed ?? worldState.simulationId}:${worldState.tick}:intel:${observerId}:${target.id}`);
+
+  const estimates = {};
+  for (const stat of ESTIMATED_STATS) {
+    const noise = Math.round((rng.next() * 2 - 1) * margin);
+    estimates[stat] = clampValue(target[stat] + noise, 0, 100);
+  }
+
+  return {
+    ...estimates,
+    margin,
+    quality,
+    confidence: confidenceLevel(quality)
+  };
+}
@@ -1,4 +1,5 @@
 import { clampValue } from '../db/models.js';
+import { calculateTradeMetrics } from './trade.js';
 
 /**
  * Calculates world stability metrics
@@ -12,7 +13,9 @@ export function calculateStabilityIndex(worldState) {
       explanation: 'No countries exist',
       ideologicalDiversity: 0,
       conflictLevel: 0,
-      survivalRate: 0
+      survivalRate: 0,
+      avgStability: 0,
+      powerImbalance: 0
     };
   }
 
@@ -52,14 +55,19 @@ export function calculateStabilityIndex(worldState) {
   const survivingCountries = countries.filter(c => c.stability > 20).length;
   const survivalRate = (survivingCountries / countries.length) * 100;
   
+  // Trade integration binds nations together; heavy dependency makes that bond fragile
+  const trade = calculateTradeMetrics(worldState);
+  const tradeCohesion = trade.tradeIntegration * (1 - trade.avgTradeDependency / 200);
+
   // Overall stability index
   // Higher stability = good internal cohesion, but we penalize extreme power imbalance
-  // and reward survival rate
+  // and reward survival rate and trade ties
   const stabilityIndex = clampValue(
-    (avgStability * 0.4) +
+    (avgStability * 0.35) +
     (survivalRate * 0.3) +
     ((100 - conflictLevel) * 0.2) +
-    ((100 - normalizedPowerVariance) * 0.1),
+    ((100 - normalizedPowerVariance) * 0.1) +
+    (tradeCohesion * 0.05),
     0,
     100
   );
@@ -70,7 +78,9 @@ export function calculateStabilityIndex(worldState) {
     conflictLevel: Math.round(conflictLevel),
     survivalRate: Math.round(survivalRate),
     avgStability: Math.round(avgStability),
-    powerImbalance: Math.round(normalizedPowerVariance)
+    powerImbalance: Math.round(normalizedPowerVariance),
+    tradeIntegration: trade.tradeIntegration,
+    avgTradeDependency: trade.avgTradeDependency
   };
 }
 
@@ -78,8 +88,8 @@ export function calculateStabilityIndex(worldState) {
  * Determines if simulation should terminate
  */
 export function shouldTerminate(worldState, maxYears = 1000) {
-  // End condition 1: Time limit reached
-  if (worldState.year >= maxYears) {
+  // End condition 1: Time limit reached (years elapsed since the scenario's start year)
+  if (worldState.year - (worldState.startYear || 0) >= maxYears) {
     return { terminate: true, reason: 'TIME_LIMIT', message: `Reached ${maxYears} year limit` };
   }
   
@@ -121,11 +131,11 @@ export function shouldTerminate(worldState, maxYears = 1000) {
 }
 
 /**
- * Applies environmental random events
+ * Applies environmental random events, drawing all randomness from the seeded rng
  */
-export function generateRandomEvent(worldState, tick) {
+export function generateRandomEvent(worldState, tick, rng) {
   // 10% chance of random event each tick
-  if (Math.random() > 0.1) {
+  if (rng.next() > 0.1) {
     return null;
   }
   
@@ -134,7 +144,7 @@ export function generateRandomEvent(worldState, tick) {
       type: 'NATURAL_DISASTER',
       severity: 'MAJOR',
       description: () => {
-        const victim = worldState.countries[Math.floor(Math.random() * worldState.countries.length)];
+        const victim = rng.pick(worldState.countries);
         return {
           type: 'NATURAL_DISASTER',
           actors: [victim.id],
@@ -149,7 +159,7 @@ export function generateRandomEvent(worldState, tick) {
       type: 'TECHNOLOGICAL_BREAKTHROUGH',
       severity: 'MAJOR',
       description: () => {
-        const beneficiary = worldState.countries[Math.floor(Math.random() * worldState.countries.length)];
+        const beneficiary = rng.pick(worldState.countries);
         return {
           type: 'INNOVATION',
           actors: [beneficiary.id],
@@ -167,7 +177,7 @@ export function generateRandomEvent(worldState, tick) {
         const unstableCountries = worldState.countries.filter(c => c.stability < 60);
         if (unstableCountries.length === 0) return null;
         
-        const victim = unstableCountries[Math.floor(Math.random() * unstableCountries.length)];
+        const victim = rng.pick(unstableCountries);
         return {
           type: 'REBELLION',
           actors: [victim.id],
@@ -182,7 +192,7 @@ export function generateRandomEvent(worldState, tick) {
       type: 'RESOURCE_DISCOVERY',
       severity: 'MINOR',
       description: () => {
-        const lucky = worldState.countries[Math.floor(Math.random() * worldState.countries.length)];
+        const lucky = rng.pick(worldState.countries);
         return {
           type: 'RESOURCE_DISCOVERY',
           actors: [lucky.id],
@@ -195,7 +205,7 @@ export function generateRandomEvent(worldState, tick) {
     }
   ];
   
-  const chosen = eventTypes[Math.floor(Math.random() * eventTypes.length)];
+  const chosen = rng.pick(eventTypes);
   const event = chosen.description();
   
   if (!event) return null;
@@ -0,0 +1,241 @@
+import { createRng } from '../utils/random.js';
+import { findWarBetween } from './wars.js';
+
+/**
+ * Deterministic, rule-based action resolution.
+ *
+ * Each specific action has a success probability built from the stats the
+ * resolution prompt describes (power differential, tech gap, stability,
+ * alliances) and stat effects scaled by how well it went. Chance comes from
+ * an RNG seeded per simulation, tick and actor, so outcomes replay exactly.
+ *
+ * Modes: `llm` asks the model for everything, `rules` uses only these rules,
+ * `hybrid` uses the rules for numbers and the model for the narrative.
+ */
+export const RESOLUTION_MODES = ['llm', 'rules', 'hybrid'];
+
+const MAGNITUDE = { COMPLETE: 1, PARTIAL: 0.5, FAILURE: 0, BACKFIRE: -0.5 };
+
+const LEVEL_TEXT = {
+  COMPLETE: 'succeeds completely',
+  PARTIAL: 'partly succeeds',
+  FAILURE: 'fails',
+  BACKFIRE: 'backfires'
+};
+
+/**
+ * Rules per specific action: `chance` returns the success probability and
+ * `effects` fills in actor/target deltas and the tension change toward the target
+ */
+const RULES = {
+  declare_war: {
+    chance: ({ powerDiff, actor, target }) =>
+      0.5 + powerDiff * 0.6 + (actor.stability - 50) / 200 - (target.alliances || []).length * 0.05,
+    effects: ({ m, actor, target }) => {
+      actor.power = Math.round(6 * m);
+      actor.stability = -5;
+      actor.resources = -5;
+      target.power = -Math.round(6 * Math.max(m, 0.25));
+      target.stability = -5;
+      return -40;
+    }
+  },
+  ceasefire: {
+    chance: ({ worldState, decision }) => {
+      const war = findWarBetween(worldState, decision.actorId, decision.target);
+      return 0.45 + (war?.exhaustion?.[decision.target] || 0) / 200;
+    },
+    effects: ({ m, actor, target }) => {
+      actor.stability = Math.round(4 * m);
+      target.stability = Math.round(4 * m);
+      return m > 0 ? 10 : -5;
+    }
+  },
+  form_alliance: {
+    chance: ({ tension }) => 0.4 + tension / 200,
+    effects: ({ m, actor, target }) => {
+      actor.power = Math.round(3 * m);
+      target.power = Math.round(3 * m);
+      return Math.round(20 * m);
+    }
+  },
+  break_alliance: {
+    chance: () => 0.9,
+    effects: ({ m, actor, target }) => {
+      actor.stability = m < 0 ? -5 : -2;
+      target.stability = -3;
+      return -25;
+    }
+  },
+  improve_relations: {
+    chance: ({ tension }) => 0.55 + tension / 200,
+    effects: ({ m, actor }) => {
+      actor.stability = Math.round(2 * m);
+      return Math.round(15 * m);
+    }
+  },
+  threaten: {
+    chance: ({ powerDiff }) => 0.4 + powerDiff * 0.8,
+    effects: ({ m, actor, target }) => {
+      actor.power = Math.round(3 * m);
+      target.stability = -Math.round(5 * Math.max(m, 0));
+      return -20;
+    }
+  },
+  trade_agreement: {
+    chance: ({ tension }) => 0.6 + tension / 200,
+    effects: ({ m, actor, target }) => {
+      actor.resources = Math.round(4 * m);
+      target.resources = Math.round(4 * m);
+      return Math.round(10 * m);
+    }
+  },
+  embargo: {
+    chance: () => 0.9,
+    effects: ({ m, actor, target }) => {
+      actor.resources = -2;
+      target.resources = -Math.round(6 * Math.max(m, 0.5));
+      return -20;
+    }
+  },
+  military_buildup: {
+    chance: ({ actor }) => 0.6 + (actor.resources - 50) / 200,
+    effects: ({ m, actor }) => {
+      actor.power = m < 0 ? 0 : Math.round(8 * m) + 1;
+      actor.stability = m < 0 ? -3 : 0;
+      actor.resources = -4;
+    }
+  },
+  defend: {
+    chance: ({ actor }) => 0.7 + (actor.stability - 50) / 200,
+    effects: ({ m, actor }) => {
+      actor.power = m < 0 ? 0 : Math.round(4 * m) + 1;
+      actor.stability = Math.round(2 * m);
+      actor.resources = -2;
+    }
+  },
+  invest_technology: {
+    chance: ({ actor }) => 0.5 + (actor.resources - 50) / 200 + (actor.stability - 50) / 200,
+    effects: ({ m, actor }) => {
+      actor.technology = Math.round(6 * m);
+      actor.resources = -3;
+    }
+  },
+  stabilize: {
+    chance: ({ actor }) => 0.6 + (actor.power - 50) / 200,
+    effects: ({ m, actor }) => {
+      actor.stability = Math.round(10 * m);
+      actor.resources = -1;
+    }
+  },
+  extract_resources: {
+    chance: () => 0.7,
+    effects: ({ m, actor }) => {
+      actor.resources = Math.round(10 * Math.max(m, 0)) + 2;
+      actor.stability = m < 0 ? -5 : -2;
+    }
+  },
+  reform_policy: {
+    chance: ({ actor }) => 0.45 + (actor.stability - 50) / 100,
+    effects: ({ m, actor }) => {
+      actor.stability = Math.round(12 * m);
+      actor.power = m < 0 ? -3 : 0;
+    }
+  },
+  gather_intel: {
+    chance: ({ techGap }) => 0.55 + techGap * 0.8,
+    effects: ({ m, actor }) => {
+      actor.stability = m < 0 ? -2 : 0;
+      return m < 0 ? -20 : 0;
+    }
+  },
+  sabotage: {
+    chance: ({ techGap, powerDiff }) => 0.4 + techGap * 0.6 + powerDiff * 0.2,
+    effects: ({ m, actor, target }) => {
+      target.power = -Math.round(6 * Math.max(m, 0));
+      target.stability = -Math.round(6 * Math.max(m, 0));
+      actor.stability = m < 0 ? -5 : 0;
+      return m < 0 ? -30 : -10;
+    }
+  },
+  steal_technology: {
+    chance: ({ techGap }) => 0.45 + techGap * 0.5,
+    effects: ({ m, actor, target }) => {
+      actor.technology = Math.round(6 * m);
+      target.technology = -Math.round(2 * Math.max(m, 0));
+      return m < 0 ? -25 : -5;
+    }
+  }
+};
+
+function levelFor(roll, probability) {
+  if (roll < probability * 0.5) return 'COMPLETE';
+  if (roll < probability) return 'PARTIAL';
+  if (roll < probability + (1 - probability) * 0.7) return 'FAILURE';
+  return 'BACKFIRE';
+}
+
+/**
+ * Resolves a decision by the rules. Returns a resolution in the same shape as
+ * the LLM resolver, plus the `probability` that was rolled against.
+ */
+export function resolveByRules(decision, worldState) {
+  const actorCountry = worldState.countries.find(c => c.id === decision.actorId);
+  const targetCountry = decision.target
+    ? worldState.countries.find(c => c.id === decision.target)
+    : null;
+  const rule = RULES[decision.specificAction];
+
+  if (!actorCountry || !rule || (decision.target && !targetCountry)) {
+    return {
+      success: false,
+      successLevel: 'FAILURE',
+      changes: {},
+      description: `${actorCountry?.name || decision.actorId}'s attempt to ${decision.specificAction} has no effect`,
+      unintendedConsequences: 'None',
+      newTensions: {},
+      probability: 0
+    };
+  }
+
+  const rng = createRng(`${worldState.seed ?? worldState.simulationId}:${worldState.tick}:rules:${decision.actorId}`);
+  const neutral = { power: 50, stability: 50, technology: 50, resources: 50, alliances: [] };
+  const opponent = targetCountry || neutral;
+
+  const inputs = {
+    worldState,
+    decision,
+    actor: actorCountry,
+    target: opponent,
+    powerDiff: (actorCountry.power - opponent.power) / 100,
+    techGap: (actorCountry.technology - opponent.technology) / 100,
+    tension: targetCountry ? actorCountry.tensions?.[targetCountry.id] || 0 : 0
+  };
+
+  // A treaty both leaders agreed to is much more likely to be honoured
+  const negotiated = decision.negotiation?.outcome === 'AGREED' ? 0.25 : 0;
+  const probability = Math.min(0.95, Math.max(0.05, rule.chance(inputs) + negotiated));
+  const successLevel = levelFor(rng.next(), probability);
+
+  const actorChanges = { power: 0, stability: 0, technology: 0, resources: 0 };
+  const targetChanges = { power: 0, stability: 0, technology: 0, resources: 0 };
+  const tension = rule.effects({ ...inputs, m: MAGNITUDE[successLevel], actor: actorChanges, target: targetChanges });
+
+  const changes = { [actorCountry.id]: actorChanges };
+  if (targetCountry) {
+    changes[targetCountry.id] = targetChanges;
+  }
+
+  const action = decision.specificAction.replace(/_/g, ' ');
+  const description = `${actorCountry.name}'s attempt to ${action}${targetCountry ? ` toward ${targetCountry.name}` : ''} ${LEVEL_TEXT[successLevel]} (${Math.round(probability * 100)}% odds)`;
+
+  return {
+    success: successLevel === 'COMPLETE' || successLevel === 'PARTIAL',
+    successLevel,
+    changes,
+    description,
+    unintendedConsequences: successLevel === 'BACKFIRE' ? 'The effort turned against its author' : 'None',
+    newTensions: targetCountry && tension !== undefined ? { [targetCountry.id]: tension } : {},
+    probability
+  };
+}
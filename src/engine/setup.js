@@ -0,0 +1,134 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { calculateStabilityIndex } from './metrics.js';
+import { providerRequiresApiKey } from '../agents/providers.js';
+import { encryptApiKey } from '../utils/secrets.js';
+
+/**
+ * Building blocks for new simulations, shared by the HTTP API and the batch runner
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Loads the default world definition
+ */
+export function loadWorldInit() {
+  const worldInitPath = join(__dirname, '../../config/world-init.json');
+  return JSON.parse(readFileSync(worldInitPath, 'utf-8'));
+}
+
+/**
+ * Builds the tick-0 world_states document for a new simulation
+ */
+export function buildInitialWorldState(simulationId, ownerId, scenario, seed, resolutionMode = 'llm', budget = null) {
+  const countries = JSON.parse(JSON.stringify(scenario.countries)).map(c => ({
+    alliances: [],
+    tensions: {},
+    ...c
+  }));
+
+  return {
+    simulationId,
+    ownerId,
+    tick: 0,
+    year: scenario.startYear || 0,
+    startYear: scenario.startYear || 0,
+    seed,
+    resolutionMode,
+    budget,
+    scenarioId: scenario.scenarioId || null,
+    initialScenario: scenario,
+    worldName: scenario.worldName,
+    description: scenario.description,
+    countries,
+    globalEvents: [],
+    wars: [],
+    tradeAgreements: [],
+    intel: {},
+    metrics: {
+      ...calculateStabilityIndex({ countries }),
+      explanation: 'Initial state'
+    },
+    status: 'RUNNING',
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+}
+
+/**
+ * Agent configurations for a scenario. `providerFor(role)` picks the provider of
+ * overseer, leaders, thinker, strategist and historian; keys are encrypted before storage.
+ */
+export function buildAgents(scenario, providerFor, apiKeys = {}) {
+  // Keyless providers get one leader per country unless leaders are listed explicitly
+  const leaderKeys = providerRequiresApiKey(providerFor('leaders'))
+    ? (apiKeys.leaders || []).filter(key => key && key.trim())
+    : (apiKeys.leaders?.length ? apiKeys.leaders : scenario.countries.map(() => null));
+
+  const agents = [
+    { 
+      id: 'overseer', 
+      role: 'OVERSEER',
+      provider: providerFor('overseer'),
+      apiKey: encryptApiKey(apiKeys.overseer),
+      countryId: null,
+      personality: 'Neutral observer',
+      memory: [],
+      decisionHistory: []
+    },
+    ...leaderKeys.map((key, idx) => ({
+      id: `leader_${idx}`,
+      role: 'LEADER',
+      provider: providerFor('leaders'),
+      apiKey: encryptApiKey(key),
+      countryId: scenario.countries[idx]?.id,
+      personality: `Leader of ${scenario.countries[idx]?.name}`,
+      memory: [],
+      decisionHistory: []
+    })),
+  ];
+
+  if (apiKeys.thinker || !providerRequiresApiKey(providerFor('thinker'))) {
+    agents.push({
+      id: 'thinker',
+      role: 'THINKER',
+      provider: providerFor('thinker'),
+      apiKey: encryptApiKey(apiKeys.thinker),
+      countryId: null,
+      personality: 'Philosophical observer',
+      memory: [],
+      decisionHistory: []
+    });
+  }
+
+  if (apiKeys.strategist || !providerRequiresApiKey(providerFor('strategist'))) {
+    agents.push({
+      id: 'strategist',
+      role: 'STRATEGIST',
+      provider: providerFor('strategist'),
+      apiKey: encryptApiKey(apiKeys.strategist),
+      countryId: null,
+      personality: 'Military analyst',
+      memory: [],
+      decisionHistory: []
+    });
+  }
+
+  if (apiKeys.historian || !providerRequiresApiKey(providerFor('historian'))) {
+    agents.push({
+      id: 'historian',
+      role: 'HISTORIAN',
+      provider: providerFor('historian'),
+      apiKey: encryptApiKey(apiKeys.historian),
+      countryId: null,
+      personality: 'Chronicler of eras',
+      memory: [],
+      decisionHistory: []
+    });
+  }
+
+  return agents;
+}
@@ -2,6 +2,14 @@ import { AgentManager } from '../agents/agentManager.js';
 import { EventResolver } from './eventResolver.js';
 import { WorldState } from './worldState.js';
 import { Logger } from '../utils/logger.js';
+import { Historian } from './historian.js';
+import { createTickRng } from '../utils/random.js';
+import { tickStream } from '../utils/tickStream.js';
+import { scheduler, nextRunAfter, describeSchedule } from '../utils/scheduler.js';
+import { processWars } from './wars.js';
+import { processTrade } from './trade.js';
+import { decayIntel } from './intel.js';
+import { checkBudget } from '../agents/usage.js';
 import { 
   calculateStabilityIndex, 
   shouldTerminate, 
@@ -19,8 +27,16 @@ export class WorldSimulator {
     this.eventResolver = new EventResolver(db, simulationId, this.agentManager);
     this.worldStateManager = new WorldState(db, simulationId);
     this.logger = new Logger(db, simulationId);
+    this.historian = new Historian(db, simulationId, this.agentManager, this.logger);
     this.isRunning = false;
-    this.tickInterval = null;
+    this.tickInProgress = null;
+  }
+
+  /**
+   * Pushes phase-level progress to live stream subscribers
+   */
+  publish(tick, type, data) {
+    tickStream.publish(this.simulationId, tick, type, data);
   }
 
   async initialize() {
@@ -29,7 +45,12 @@ export class WorldSimulator {
     console.log(`✅ Simulator ready\n`);
   }
 
-  async start(tickDurationMs = 300000) { // 5 minutes default
+  /**
+   * Starts ticking on `schedule` ({ tickIntervalMinutes } or { cron, timezone }).
+   * Interval schedules tick first at `firstRunAt` (default now), e.g. to keep
+   * the cadence of a simulation recovered after a restart.
+   */
+  async start(schedule = { tickIntervalMinutes: 5 }, firstRunAt = null) {
     if (this.isRunning) {
       console.log('⚠️ Simulation already running');
       return;
@@ -38,19 +59,53 @@ export class WorldSimulator {
     await this.initialize();
     this.isRunning = true;
 
-    console.log(`▶️ Starting simulation with ${tickDurationMs}ms interval`);
-    
-    // Execute first tick immediately
-    await this.executeTick();
+    console.log(`▶️ Starting simulation ${describeSchedule(schedule)}`);
+    this.schedule(schedule, firstRunAt);
+  }
 
-    // Schedule subsequent ticks
-    this.tickInterval = setInterval(async () => {
-      try {
-        await this.executeTick();
-      } catch (error) {
-        console.error('❌ Tick execution error:', error);
-      }
-    }, tickDurationMs);
+  /**
+   * Moves a running simulation to a new schedule, counted from now. A tick in
+   * progress finishes before the new schedule takes over.
+   */
+  reschedule(schedule) {
+    if (!this.isRunning) return;
+
+    const now = new Date();
+    console.log(`🔁 Rescheduling ${this.simulationId} to ${describeSchedule(schedule)}`);
+    this.schedule(schedule, nextRunAfter(schedule, now, now));
+  }
+
+  schedule(schedule, firstRunAt) {
+    scheduler.start(this.simulationId, schedule, () => this.runTick(), {
+      firstRunAt,
+      onScheduled: (nextTickAt) => this.recordNextTick(nextTickAt)
+    });
+  }
+
+  async recordNextTick(nextTickAt) {
+    try {
+      await this.db.collection('world_states').updateOne(
+        { simulationId: this.simulationId },
+        { $set: { 'schedule.nextTickAt': nextTickAt } }
+      );
+    } catch (error) {
+      console.error('❌ Failed to record next tick time:', error.message);
+    }
+  }
+
+  /**
+   * Runs one tick and remembers it while in flight, so shutdown can wait for it
+   */
+  async runTick() {
+    this.tickInProgress = this.executeTick();
+
+    try {
+      await this.tickInProgress;
+    } catch (error) {
+      console.error('❌ Tick execution error:', error);
+    } finally {
+      this.tickInProgress = null;
+    }
   }
 
   async executeTick() {
@@ -69,12 +124,34 @@ export class WorldSimulator {
         return;
       }
 
+      // Honour the absolute end time even if the auto-stop timer was lost
+      if (worldState.schedule?.endsAt && new Date(worldState.schedule.endsAt) <= new Date()) {
+        await this.complete('DURATION_LIMIT');
+        return;
+      }
+
+      // Stop before spending more once the usage budget is used up
+      const overBudget = checkBudget(worldState.budget, await this.agentManager.usage.getTotals());
+      if (overBudget) {
+        await this.pauseForBudget(worldState, overBudget);
+        return;
+      }
+
       console.log(`📅 Year ${worldState.year} | Tick ${worldState.tick}`);
 
+      const tick = worldState.tick;
+      // Copied before any phase mutates the state, so the tick log can record both sides
+      const snapshotBefore = structuredClone(this.worldStateManager.createSnapshot(worldState));
+      this.publish(tick, 'tick_start', { tick, year: worldState.year });
+
+      // All stochastic steps in this tick draw from one RNG derived from the seed
+      const rng = createTickRng(worldState);
+
       // PHASE 1: Generate random events (10% chance)
-      const randomEvent = generateRandomEvent(worldState, worldState.tick);
+      const randomEvent = generateRandomEvent(worldState, worldState.tick, rng);
       if (randomEvent) {
         console.log(`🎲 Random Event: ${randomEvent.description}`);
+        this.publish(tick, 'random_event', randomEvent);
         worldState = this.worldStateManager.addEvent(worldState, randomEvent);
         
         // Apply random event impacts
@@ -85,14 +162,29 @@ export class WorldSimulator {
 
       // PHASE 2: Agents observe and decide
       console.log(`\n🤖 Collecting agent decisions...`);
-      const agentDecisions = await this.agentManager.collectDecisions(worldState);
+      const agentDecisions = await this.agentManager.collectDecisions(
+        worldState,
+        (decision) => this.publish(tick, 'decision', {
+          actorId: decision.actorId,
+          action: decision.action,
+          specificAction: decision.specificAction,
+          target: decision.target,
+          details: decision.details,
+          reasoning: decision.reasoning
+        })
+      );
       console.log(`✅ Collected ${agentDecisions.length} decisions\n`);
 
       // PHASE 3: Resolve actions
       console.log(`⚙️ Resolving actions...`);
       const resolutionResult = await this.eventResolver.resolveActions(
         worldState,
-        agentDecisions
+        agentDecisions,
+        (decision, event) => this.publish(tick, 'resolution', {
+          actorId: decision.actorId,
+          specificAction: decision.specificAction,
+          event
+        })
       );
       console.log(`✅ Resolved ${resolutionResult.events.length} events\n`);
 
@@ -105,6 +197,51 @@ export class WorldSimulator {
         worldState = this.worldStateManager.addEvent(worldState, event);
       }
 
+      // PHASE 4b: Advance active wars (attrition, exhaustion, outcomes)
+      const warResult = processWars(worldState, rng);
+      worldState = this.worldStateManager.applyChanges(worldState, warResult.changes);
+
+      for (const event of warResult.events) {
+        worldState = this.worldStateManager.addEvent(worldState, event);
+        resolutionResult.events.push(event);
+      }
+
+      if (Object.keys(warResult.changes).length > 0 || warResult.events.length > 0) {
+        this.publish(tick, 'wars', {
+          attrition: warResult.changes,
+          events: warResult.events,
+          activeWars: (worldState.wars || []).filter(w => w.status === 'ACTIVE').length
+        });
+      }
+
+      // PHASE 4c: Trade flows, dependency and economic shocks
+      const tradeResult = processTrade(worldState);
+      worldState = this.worldStateManager.applyChanges(worldState, tradeResult.changes);
+
+      for (const event of tradeResult.events) {
+        worldState = this.worldStateManager.addEvent(worldState, event);
+        resolutionResult.events.push(event);
+      }
+
+      if (Object.keys(tradeResult.changes).length > 0 || tradeResult.events.length > 0) {
+        this.publish(tick, 'trade', {
+          flows: tradeResult.changes,
+          events: tradeResult.events,
+          activeAgreements: (worldState.tradeAgreements || []).filter(a => a.status === 'ACTIVE').length
+        });
+      }
+
+      // Intelligence gathered in earlier years goes stale
+      decayIntel(worldState);
+
+      // PHASE 4d: Leaders remember this tick, condensing old memories when needed
+      await this.agentManager.recordLeaderMemories(
+        worldState,
+        agentDecisions,
+        [randomEvent, ...resolutionResult.events].filter(Boolean)
+      );
+      await this.agentManager.condenseMemories(worldState);
+
       // PHASE 5: Overseer analysis
       console.log(`📊 Overseer analyzing world state...`);
       const overseerInsights = await this.agentManager.getOverseerAnalysis(worldState);
@@ -117,6 +254,8 @@ export class WorldSimulator {
         ...calculatedMetrics
       };
       
+      this.publish(tick, 'overseer', worldState.metrics);
+
       console.log(`✅ Stability Index: ${worldState.metrics.stabilityIndex}/100`);
       console.log(`   ${overseerInsights.explanation}\n`);
 
@@ -129,6 +268,7 @@ export class WorldSimulator {
       
       if (philosophicalInsight) {
         console.log(`✅ ${philosophicalInsight.philosophicalQuestion}\n`);
+        this.publish(tick, 'thinker', philosophicalInsight);
       }
 
       // PHASE 7: Strategic analysis (optional, run every 5 ticks)
@@ -136,10 +276,14 @@ export class WorldSimulator {
       if (worldState.tick % 5 === 0) {
         console.log(`⚔️ Strategist analyzing conflicts...`);
         strategistInsight = await this.agentManager.getStrategistAnalysis(worldState);
+        if (strategistInsight) {
+          this.publish(tick, 'strategist', strategistInsight);
+        }
       }
 
-      // PHASE 8: Save state and log
+      // PHASE 8: Save state, snapshot and log
       await this.worldStateManager.save(worldState);
+      const snapshotAfter = await this.worldStateManager.saveSnapshot(worldState);
       
       await this.logger.logTick(
         worldState.tick,
@@ -147,15 +291,41 @@ export class WorldSimulator {
         resolutionResult.events,
         overseerInsights,
         philosophicalInsight,
-        null, // worldStateBefore (omitted to save space)
-        worldState
+        snapshotBefore,
+        snapshotAfter
       );
 
+      // PHASE 8b: The historian writes a chapter whenever this year closes one
+      const chapter = await this.historian.onYearResolved(worldState, worldState.year);
+      if (chapter) {
+        this.publish(tick, 'chapter', {
+          index: chapter.index,
+          title: chapter.title,
+          fromYear: chapter.fromYear,
+          toYear: chapter.toYear
+        });
+      }
+
       // PHASE 9: Advance time
       worldState.tick += 1;
       worldState.year += 1;
       await this.worldStateManager.save(worldState);
 
+      this.publish(tick, 'tick_summary', {
+        tick,
+        year: worldState.year - 1,
+        stabilityIndex: worldState.metrics.stabilityIndex,
+        events: resolutionResult.events.length,
+        countries: worldState.countries.map(c => ({
+          id: c.id,
+          name: c.name,
+          power: c.power,
+          stability: c.stability,
+          technology: c.technology,
+          resources: c.resources
+        }))
+      });
+
       // PHASE 10: Check termination conditions
       const terminationCheck = shouldTerminate(worldState, 1000);
       if (terminationCheck.terminate) {
@@ -207,27 +377,58 @@ export class WorldSimulator {
   }
 
   pause() {
-    if (this.tickInterval) {
-      clearInterval(this.tickInterval);
-      this.tickInterval = null;
-    }
+    scheduler.stop(this.simulationId);
     this.isRunning = false;
     console.log('⏸️ Simulation paused');
   }
 
+  /**
+   * Stops ticking for a server shutdown: waits up to `timeoutMs` for a tick in
+   * progress to be saved, then records the simulation as PAUSED by SHUTDOWN so
+   * the next boot resumes it
+   */
+  async shutdown(timeoutMs = 30000) {
+    this.pause();
+
+    if (this.tickInProgress) {
+      console.log(`⏳ Waiting for tick in progress of ${this.simulationId}`);
+      await Promise.race([
+        this.tickInProgress,
+        new Promise(resolve => setTimeout(resolve, timeoutMs))
+      ]);
+    }
+
+    await this.db.collection('world_states').updateOne(
+      { simulationId: this.simulationId, status: 'RUNNING' },
+      { $set: { status: 'PAUSED', pausedReason: 'SHUTDOWN', updatedAt: new Date() } }
+    );
+  }
+
+  async pauseForBudget(worldState, reason) {
+    this.pause();
+
+    await this.worldStateManager.setStatus('PAUSED', { pausedReason: 'BUDGET_EXCEEDED' });
+
+    this.publish(worldState.tick, 'budget_exceeded', { reason, budget: worldState.budget });
+    console.log(`💸 Budget exceeded for ${this.simulationId}: ${reason}`);
+  }
+
   async complete(reason) {
     this.pause();
     
+    await this.worldStateManager.setStatus('COMPLETED', { completionReason: reason });
     const worldState = await this.worldStateManager.load();
-    worldState.status = 'COMPLETED';
-    await this.worldStateManager.save(worldState);
     
     await this.logger.logSimulationEnd(worldState, reason);
+    this.publish(worldState.tick, 'simulation_end', { reason, year: worldState.year });
+
+    // The unfinished last era still gets its chapter
+    await this.historian.onSimulationEnd(worldState, worldState.year - 1);
     
     console.log(`\n${'═'.repeat(80)}`);
     console.log(`🏁 SIMULATION COMPLETED: ${this.simulationId}`);
     console.log(`   Reason: ${reason}`);
-    console.log(`   Total Years: ${worldState.year}`);
+    console.log(`   Total Years: ${worldState.year - (worldState.startYear || 0)}`);
     console.log(`   Final Stability: ${worldState.metrics.stabilityIndex}/100`);
     console.log(`${'═'.repeat(80)}\n`);
   }
@@ -235,7 +436,9 @@ export class WorldSimulator {
   getStatus() {
     return {
       simulationId: this.simulationId,
-      isRunning: this.isRunning
+      isRunning: this.isRunning,
+      tickInProgress: scheduler.isTickInProgress(this.simulationId),
+      nextTickAt: scheduler.getNextRun(this.simulationId)
     };
   }
 }
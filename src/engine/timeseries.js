@@ -0,0 +1,153 @@
+/**
+ * Per-tick metric time series, read from world snapshots.
+ *
+ * Every tick's snapshot keeps the full `calculateStabilityIndex` output and
+ * each country's stats, so a series is a projection of the snapshots in a
+ * tick range, optionally downsampled and flattened to CSV.
+ */
+
+export const TIMESERIES_METRICS = [
+  'stabilityIndex',
+  'conflictLevel',
+  'ideologicalDiversity',
+  'powerImbalance',
+  'avgStability',
+  'survivalRate',
+  'tradeIntegration',
+  'avgTradeDependency'
+];
+
+export const TIMESERIES_COUNTRY_STATS = ['power', 'stability', 'technology', 'resources', 'population'];
+
+export const TIMESERIES_FORMATS = ['json', 'csv'];
+
+function parseList(value) {
+  if (value === undefined) return null;
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseTick(value, name) {
+  if (value === undefined) return { value: null };
+
+  const tick = Number(value);
+  return Number.isInteger(tick) && tick >= 0
+    ? { value: tick }
+    : { error: `${name} must be a non-negative integer` };
+}
+
+/**
+ * Validates timeseries query parameters. Returns { error } or the options:
+ *   fields     metric names and/or country stats (default: all)
+ *   countries  country ids to include (default: all)
+ *   fromTick, toTick  inclusive tick range
+ *   every      keep every Nth tick of the range; maxPoints picks it instead
+ *   format     json or csv
+ */
+export function parseTimeseriesQuery(query = {}) {
+  const fields = parseList(query.fields);
+  const unknown = (fields || []).filter(f => !TIMESERIES_METRICS.includes(f) && !TIMESERIES_COUNTRY_STATS.includes(f));
+  if (unknown.length > 0) {
+    return { error: `Unknown fields: ${unknown.join(', ')}. Available: ${[...TIMESERIES_METRICS, ...TIMESERIES_COUNTRY_STATS].join(', ')}` };
+  }
+
+  const from = parseTick(query.fromTick, 'fromTick');
+  const to = parseTick(query.toTick, 'toTick');
+  if (from.error || to.error) return { error: from.error || to.error };
+  if (from.value !== null && to.value !== null && from.value > to.value) {
+    return { error: 'fromTick must not be after toTick' };
+  }
+
+  if (query.every !== undefined && query.maxPoints !== undefined) {
+    return { error: 'Provide either every or maxPoints, not both' };
+  }
+  for (const name of ['every', 'maxPoints']) {
+    if (query[name] !== undefined && !(Number.isInteger(Number(query[name])) && Number(query[name]) >= 1)) {
+      return { error: `${name} must be a positive integer` };
+    }
+  }
+
+  const format = query.format || 'json';
+  if (!TIMESERIES_FORMATS.includes(format)) {
+    return { error: `format must be one of: ${TIMESERIES_FORMATS.join(', ')}` };
+  }
+
+  return {
+    metrics: fields ? TIMESERIES_METRICS.filter(f => fields.includes(f)) : TIMESERIES_METRICS,
+    countryStats: fields ? TIMESERIES_COUNTRY_STATS.filter(f => fields.includes(f)) : TIMESERIES_COUNTRY_STATS,
+    countries: parseList(query.countries),
+    fromTick: from.value,
+    toTick: to.value,
+    every: query.every !== undefined ? Number(query.every) : null,
+    maxPoints: query.maxPoints !== undefined ? Number(query.maxPoints) : null,
+    format
+  };
+}
+
+/**
+ * Keeps every `every`th snapshot (or enough to stay within `maxPoints`),
+ * always including the last one so the series ends at the latest tick
+ */
+export function downsample(snapshots, { every, maxPoints }) {
+  const step = every || (maxPoints ? Math.ceil(snapshots.length / maxPoints) : 1);
+  if (step <= 1) return { step: 1, snapshots };
+
+  const kept = snapshots.filter((_, i) => i % step === 0);
+  const last = snapshots[snapshots.length - 1];
+  if (kept[kept.length - 1] !== last) {
+    if (maxPoints && kept.length >= maxPoints) kept.pop();
+    kept.push(last);
+  }
+
+  return { step, snapshots: kept };
+}
+
+/**
+ * One point of the series: the selected metrics and country stats at a tick
+ */
+export function toTimeseriesPoint(snapshot, options) {
+  const metrics = {};
+  for (const field of options.metrics) {
+    metrics[field] = snapshot.metrics?.[field] ?? null;
+  }
+
+  const countries = {};
+  if (options.countryStats.length > 0) {
+    for (const country of snapshot.countries || []) {
+      if (options.countries && !options.countries.includes(country.id)) continue;
+
+      countries[country.id] = {};
+      for (const stat of options.countryStats) {
+        countries[country.id][stat] = country[stat] ?? null;
+      }
+    }
+  }
+
+  return { tick: snapshot.tick, year: snapshot.year, metrics, countries };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flattens points into CSV: tick, year, one column per metric and one
+ * `<countryId>.<stat>` column per country stat. Countries missing at a tick
+ * (e.g. not yet founded) leave their cells empty.
+ */
+export function timeseriesToCsv(points, options) {
+  const countryIds = [...new Set(points.flatMap(point => Object.keys(point.countries)))];
+  const countryColumns = countryIds.flatMap(id => options.countryStats.map(stat => [id, stat]));
+
+  const header = ['tick', 'year', ...options.metrics, ...countryColumns.map(([id, stat]) => `${id}.${stat}`)];
+  const rows = points.map(point => [
+    point.tick,
+    point.year,
+    ...options.metrics.map(field => point.metrics[field]),
+    ...countryColumns.map(([id, stat]) => point.countries[id]?.[stat])
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,252 @@
+import { clampValue } from '../db/models.js';
+import { findWarBetween, getWarsForCountry } from './wars.js';
+
+/**
+ * Trade model: bilateral trade agreements on the world state with per-tick
+ * resource and technology flows, dependency scores and economic shocks.
+ *
+ * An agreement is stored on `worldState.tradeAgreements` as:
+ * {
+ *   id, partners: [idA, idB], startTick, startYear,
+ *   dependency: { countryId: 0-100 },   // how much each partner relies on the other
+ *   disrupted: Boolean,                 // a partner is fighting a war
+ *   lastFlows: { countryId: { resources, technology } },
+ *   status: 'ACTIVE' | 'ENDED', endTick, endYear,
+ *   endReason: 'EMBARGO' | 'WAR' | 'COLLAPSE'
+ * }
+ */
+
+const BASE_RESOURCE_FLOW = 2;
+const TECH_DIFFUSION_GAP = 10;
+const DEPENDENCY_RATE = 0.06;
+const COLLAPSE_STABILITY = 10;
+
+export function getActiveAgreements(worldState) {
+  return (worldState.tradeAgreements || []).filter(a => a.status === 'ACTIVE');
+}
+
+export function getAgreementsForCountry(worldState, countryId) {
+  return getActiveAgreements(worldState).filter(a => a.partners.includes(countryId));
+}
+
+export function findAgreementBetween(worldState, countryA, countryB) {
+  return getActiveAgreements(worldState).find(a =>
+    a.partners.includes(countryA) && a.partners.includes(countryB)
+  );
+}
+
+export function getTradePartners(worldState, countryId) {
+  return getAgreementsForCountry(worldState, countryId)
+    .map(a => a.partners.find(id => id !== countryId));
+}
+
+/**
+ * Overall trade dependency of a country (0-100), summed across its agreements
+ */
+export function getTradeDependency(worldState, countryId) {
+  const total = getAgreementsForCountry(worldState, countryId)
+    .reduce((sum, a) => sum + (a.dependency[countryId] || 0), 0);
+  return clampValue(Math.round(total), 0, 100);
+}
+
+/**
+ * Signs a trade agreement between two countries.
+ * Returns the TRADE_AGREEMENT event, or null when they already trade,
+ * are at war with each other or either has collapsed.
+ */
+export function signTradeAgreement(worldState, countryA, countryB) {
+  if (!worldState.tradeAgreements) worldState.tradeAgreements = [];
+  if (findAgreementBetween(worldState, countryA, countryB)) return null;
+  if (findWarBetween(worldState, countryA, countryB)) return null;
+
+  const a = worldState.countries.find(c => c.id === countryA);
+  const b = worldState.countries.find(c => c.id === countryB);
+  if (!a || !b) return null;
+  if (a.stability < COLLAPSE_STABILITY || b.stability < COLLAPSE_STABILITY) return null;
+
+  const agreement = {
+    id: `trade_${worldState.tick}_${countryA}_${countryB}`,
+    partners: [countryA, countryB],
+    startTick: worldState.tick,
+    startYear: worldState.year,
+    dependency: { [countryA]: 0, [countryB]: 0 },
+    disrupted: false,
+    lastFlows: {},
+    status: 'ACTIVE'
+  };
+  worldState.tradeAgreements.push(agreement);
+
+  console.log(`🤝 TRADE: ${a.name} and ${b.name} sign a trade agreement`);
+
+  return {
+    type: 'TRADE_AGREEMENT',
+    actors: [countryA, countryB],
+    description: `${a.name} and ${b.name} sign a trade agreement`,
+    impact: {},
+    agreementId: agreement.id
+  };
+}
+
+/**
+ * Ends a trade agreement and returns the event describing it
+ */
+export function endTradeAgreement(worldState, agreement, reason) {
+  agreement.status = 'ENDED';
+  agreement.endTick = worldState.tick;
+  agreement.endYear = worldState.year;
+  agreement.endReason = reason;
+
+  const [nameA, nameB] = agreement.partners
+    .map(id => worldState.countries.find(c => c.id === id)?.name || id);
+
+  const descriptions = {
+    EMBARGO: `Trade between ${nameA} and ${nameB} ends under an embargo`,
+    WAR: `War severs trade between ${nameA} and ${nameB}`,
+    COLLAPSE: `Trade between ${nameA} and ${nameB} collapses with a partner state`
+  };
+  const description = descriptions[reason] || `Trade between ${nameA} and ${nameB} ends`;
+
+  console.log(`📉 ${description}`);
+
+  return {
+    type: 'TRADE_ENDED',
+    actors: [...agreement.partners],
+    description,
+    impact: {},
+    agreementId: agreement.id,
+    reason
+  };
+}
+
+function addChange(changes, countryId, stat, delta) {
+  if (delta === 0) return;
+  if (!changes[countryId]) changes[countryId] = {};
+  changes[countryId][stat] = (changes[countryId][stat] || 0) + delta;
+}
+
+/**
+ * Shock felt by a partner that loses (or has disrupted) trade, scaled by its dependency
+ */
+function applyShock(changes, agreement, countryId, severity) {
+  const dependency = agreement.dependency[countryId] || 0;
+  addChange(changes, countryId, 'resources', -Math.round(dependency / 10 * severity));
+  addChange(changes, countryId, 'stability', -Math.round(dependency / 20 * severity));
+}
+
+/**
+ * Advances every active agreement by one tick: ends agreements broken by war
+ * or collapse and shocks the partners of those and of this tick's embargoes,
+ * then applies resource and technology flows and grows dependency.
+ * Returns { changes, events } for the simulator to apply.
+ */
+export function processTrade(worldState) {
+  const changes = {};
+  const events = [];
+  const byId = (id) => worldState.countries.find(c => c.id === id);
+
+  // Embargoes imposed during this tick's resolutions hit both partners
+  const embargoed = (worldState.tradeAgreements || []).filter(a =>
+    a.status === 'ENDED' && a.endReason === 'EMBARGO' && a.endTick === worldState.tick
+  );
+  for (const agreement of embargoed) {
+    agreement.partners.forEach(id => applyShock(changes, agreement, id, 1));
+  }
+
+  for (const agreement of getActiveAgreements(worldState)) {
+    const [a, b] = agreement.partners.map(byId);
+
+    if (!a || !b || a.stability < COLLAPSE_STABILITY || b.stability < COLLAPSE_STABILITY) {
+      for (const partner of [a, b].filter(p => p && p.stability >= COLLAPSE_STABILITY)) {
+        applyShock(changes, agreement, partner.id, 1);
+      }
+      events.push(endTradeAgreement(worldState, agreement, 'COLLAPSE'));
+      continue;
+    }
+
+    if (findWarBetween(worldState, a.id, b.id)) {
+      applyShock(changes, agreement, a.id, 1);
+      applyShock(changes, agreement, b.id, 1);
+      events.push(endTradeAgreement(worldState, agreement, 'WAR'));
+      continue;
+    }
+
+    // A partner at war with a third nation disrupts the flows
+    const atWar = [a, b].filter(p => getWarsForCountry(worldState, p.id).length > 0);
+    const disrupted = atWar.length > 0;
+
+    if (disrupted && !agreement.disrupted) {
+      for (const partner of [a, b]) {
+        applyShock(changes, agreement, partner.id, 0.5);
+      }
+      events.push({
+        type: 'TRADE_DISRUPTION',
+        actors: [...agreement.partners],
+        description: `${atWar.map(p => p.name).join(' and ')} at war: trade between ${a.name} and ${b.name} is disrupted`,
+        impact: {},
+        agreementId: agreement.id
+      });
+    }
+    agreement.disrupted = disrupted;
+
+    const flowFactor = disrupted ? 0.5 : 1;
+    agreement.lastFlows = {};
+
+    for (const [country, partner] of [[a, b], [b, a]]) {
+      // Resource-poor partners gain more from the exchange
+      const complement = partner.resources > country.resources ? 1 : 0;
+      const resources = Math.round((BASE_RESOURCE_FLOW + complement) * flowFactor);
+
+      // Technology diffuses from the more advanced partner
+      const technology = partner.technology - country.technology >= TECH_DIFFUSION_GAP && !disrupted ? 1 : 0;
+
+      addChange(changes, country.id, 'resources', resources);
+      addChange(changes, country.id, 'technology', technology);
+      agreement.lastFlows[country.id] = { resources, technology };
+
+      // Dependency approaches 100 ever more slowly, faster for the poorer partner
+      const dependency = agreement.dependency[country.id] || 0;
+      agreement.dependency[country.id] = clampValue(
+        Math.round(dependency + (100 - dependency) * DEPENDENCY_RATE * (1 + complement)),
+        0,
+        100
+      );
+    }
+  }
+
+  return { changes, events };
+}
+
+/**
+ * Summaries of active agreements for prompts
+ */
+export function describeTradeAgreements(worldState) {
+  const nameOf = (id) => worldState.countries.find(c => c.id === id)?.name || id;
+
+  return getActiveAgreements(worldState).map(agreement => ({
+    id: agreement.id,
+    partners: agreement.partners,
+    partnerNames: agreement.partners.map(nameOf),
+    startYear: agreement.startYear,
+    dependency: agreement.dependency,
+    disrupted: agreement.disrupted,
+    lastFlows: agreement.lastFlows
+  }));
+}
+
+/**
+ * World-level trade figures used by the stability index
+ */
+export function calculateTradeMetrics(worldState) {
+  const agreements = getActiveAgreements(worldState);
+  const countries = worldState.countries.length;
+  const possiblePairs = countries > 1 ? (countries * (countries - 1)) / 2 : 1;
+  const dependencies = worldState.countries.map(c => getTradeDependency(worldState, c.id));
+
+  return {
+    activeAgreements: agreements.length,
+    tradeIntegration: Math.round((agreements.length / possiblePairs) * 100),
+    avgTradeDependency: countries > 0
+      ? Math.round(dependencies.reduce((sum, d) => sum + d, 0) / countries)
+      : 0
+  };
+}
@@ -0,0 +1,315 @@
+import { clampValue } from '../db/models.js';
+
+/**
+ * War registry: persistent wars on the world state with coalitions, fronts,
+ * per-tick attrition, war exhaustion and outcomes.
+ *
+ * A war is stored on `worldState.wars` as:
+ * {
+ *   id, attackers: [ids], defenders: [ids], startTick, startYear,
+ *   fronts: [{ attacker, defender, balance }],  // balance -100..100, >0 favours attacker
+ *   exhaustion: { countryId: 0-100 },
+ *   casualties: { countryId: population lost },
+ *   capitulated: [ids],                          // collapsed members no longer fighting
+ *   status: 'ACTIVE' | 'ENDED', endTick, endYear,
+ *   outcome: { type: 'VICTORY' | 'STALEMATE' | 'CEASEFIRE', winner: 'ATTACKERS' | 'DEFENDERS' | null }
+ * }
+ */
+
+const VICTORY_BALANCE = 60;
+const STALEMATE_MIN_TICKS = 10;
+const STALEMATE_EXHAUSTION = 60;
+const CAPITULATION_EXHAUSTION = 90;
+const COLLAPSE_STABILITY = 10;
+
+export function getActiveWars(worldState) {
+  return (worldState.wars || []).filter(w => w.status === 'ACTIVE');
+}
+
+export function getWarsForCountry(worldState, countryId) {
+  return getActiveWars(worldState).filter(w =>
+    w.attackers.includes(countryId) || w.defenders.includes(countryId)
+  );
+}
+
+export function findWarBetween(worldState, countryA, countryB) {
+  return getActiveWars(worldState).find(w =>
+    (w.attackers.includes(countryA) && w.defenders.includes(countryB)) ||
+    (w.attackers.includes(countryB) && w.defenders.includes(countryA))
+  );
+}
+
+export function getEnemies(worldState, countryId) {
+  const enemies = new Set();
+  for (const war of getWarsForCountry(worldState, countryId)) {
+    const opposing = war.attackers.includes(countryId) ? war.defenders : war.attackers;
+    opposing.forEach(id => enemies.add(id));
+  }
+  return [...enemies];
+}
+
+/**
+ * Starts a war and pulls in the defender's allies (defense pacts).
+ * Returns { war, events } or null when the two are already at war or either
+ * side has already collapsed.
+ */
+export function startWar(worldState, attackerId, defenderId) {
+  if (!worldState.wars) worldState.wars = [];
+  if (findWarBetween(worldState, attackerId, defenderId)) return null;
+
+  const attacker = worldState.countries.find(c => c.id === attackerId);
+  const defender = worldState.countries.find(c => c.id === defenderId);
+  if (!attacker || !defender) return null;
+  if (attacker.stability < COLLAPSE_STABILITY || defender.stability < COLLAPSE_STABILITY) return null;
+
+  const war = {
+    id: `war_${worldState.tick}_${attackerId}_${defenderId}`,
+    attackers: [attackerId],
+    defenders: [defenderId],
+    startTick: worldState.tick,
+    startYear: worldState.year,
+    fronts: [{ attacker: attackerId, defender: defenderId, balance: 0 }],
+    exhaustion: { [attackerId]: 0, [defenderId]: 0 },
+    casualties: { [attackerId]: 0, [defenderId]: 0 },
+    status: 'ACTIVE',
+    outcome: null
+  };
+  worldState.wars.push(war);
+
+  console.log(`⚔️ WAR: ${attacker.name} declares war on ${defender.name}!`);
+
+  const events = [];
+  for (const allyId of defender.alliances || []) {
+    const ally = worldState.countries.find(c => c.id === allyId);
+
+    // Allies honour defense pacts unless they are too unstable or bound to the attacker too
+    if (!ally || ally.stability <= 40 || (ally.alliances || []).includes(attackerId)) continue;
+    if (war.attackers.includes(allyId) || war.defenders.includes(allyId)) continue;
+
+    joinWar(war, allyId, 'DEFENDERS');
+    console.log(`🛡️ ${ally.name} joins the war to defend ${defender.name}`);
+
+    events.push({
+      type: 'WAR_ESCALATION',
+      actors: [allyId, defenderId, attackerId],
+      description: `${ally.name} honours its defense pact and joins the war against ${attacker.name}`,
+      impact: {},
+      warId: war.id
+    });
+  }
+
+  return { war, events };
+}
+
+function joinWar(war, countryId, side) {
+  const opposing = side === 'ATTACKERS' ? war.defenders : war.attackers;
+  (side === 'ATTACKERS' ? war.attackers : war.defenders).push(countryId);
+
+  for (const enemyId of opposing) {
+    war.fronts.push(side === 'ATTACKERS'
+      ? { attacker: countryId, defender: enemyId, balance: 0 }
+      : { attacker: enemyId, defender: countryId, balance: 0 });
+  }
+
+  war.exhaustion[countryId] = 0;
+  war.casualties[countryId] = 0;
+}
+
+/**
+ * Ends a war with the given outcome and returns the event describing it
+ */
+export function endWar(worldState, war, type, winner = null) {
+  war.status = 'ENDED';
+  war.endTick = worldState.tick;
+  war.endYear = worldState.year;
+  war.outcome = { type, winner };
+
+  const names = (ids) => ids
+    .map(id => worldState.countries.find(c => c.id === id)?.name || id)
+    .join(', ');
+  const duration = war.endTick - war.startTick;
+
+  let description;
+  if (type === 'VICTORY') {
+    const winners = winner === 'ATTACKERS' ? war.attackers : war.defenders;
+    const losers = winner === 'ATTACKERS' ? war.defenders : war.attackers;
+    description = `${names(winners)} defeat ${names(losers)} after ${duration} years of war`;
+  } else if (type === 'STALEMATE') {
+    description = `The war between ${names(war.attackers)} and ${names(war.defenders)} grinds to a stalemate after ${duration} years`;
+  } else {
+    description = `${names(war.attackers)} and ${names(war.defenders)} agree to a ceasefire after ${duration} years`;
+  }
+
+  console.log(`🕊️ ${description}`);
+
+  return {
+    type: 'WAR_ENDED',
+    actors: [...war.attackers, ...war.defenders],
+    description,
+    impact: {},
+    warId: war.id,
+    outcome: war.outcome
+  };
+}
+
+/**
+ * Military strength of one country, scaled by technology, stability and supply
+ */
+function strengthOf(country) {
+  const supply = country.resources > 10 ? 1 : 0.7;
+  return Math.max(1, country.power) *
+    (0.5 + country.technology / 200) *
+    (0.5 + country.stability / 200) *
+    supply;
+}
+
+function addChange(changes, countryId, stat, delta) {
+  if (!changes[countryId]) changes[countryId] = {};
+  changes[countryId][stat] = (changes[countryId][stat] || 0) + delta;
+}
+
+/**
+ * Advances every active war by one tick: fights each front, accumulates
+ * attrition and exhaustion, and settles wars that reach an outcome.
+ * Returns { changes, events } for the simulator to apply.
+ */
+export function processWars(worldState, rng) {
+  const changes = {};
+  const events = [];
+  const byId = (id) => worldState.countries.find(c => c.id === id);
+
+  for (const war of getActiveWars(worldState)) {
+    // Countries that collapse capitulate and drop out of the fighting
+    if (!war.capitulated) war.capitulated = [];
+    for (const id of [...war.attackers, ...war.defenders]) {
+      if (!war.capitulated.includes(id) && (byId(id)?.stability ?? 0) < COLLAPSE_STABILITY) {
+        war.capitulated.push(id);
+      }
+    }
+
+    const fighting = (ids) => ids.filter(id => !war.capitulated.includes(id));
+    const attackers = fighting(war.attackers);
+    const defenders = fighting(war.defenders);
+
+    if (attackers.length === 0 || defenders.length === 0) {
+      const winner = attackers.length > 0 ? 'ATTACKERS' : defenders.length > 0 ? 'DEFENDERS' : null;
+      events.push(winner
+        ? settleVictory(worldState, war, winner, changes)
+        : endWar(worldState, war, 'STALEMATE'));
+      continue;
+    }
+
+    const activeFronts = war.fronts.filter(f => attackers.includes(f.attacker) && defenders.includes(f.defender));
+
+    for (const front of activeFronts) {
+      const attacker = byId(front.attacker);
+      const defender = byId(front.defender);
+
+      // Defenders fight on home ground
+      const attackStrength = strengthOf(attacker);
+      const defenseStrength = strengthOf(defender) * 1.2;
+      const attackerShare = attackStrength / (attackStrength + defenseStrength);
+
+      front.balance = clampValue(
+        Math.round(front.balance + (attackerShare - 0.5) * 20 + (rng.next() - 0.5) * 6),
+        -100,
+        100
+      );
+
+      for (const [country, share] of [[attacker, attackerShare], [defender, 1 - attackerShare]]) {
+        const disadvantage = 1 - share;
+        const variance = 0.75 + rng.next() * 0.5;
+        const exhaustion = war.exhaustion[country.id] || 0;
+
+        const powerLoss = Math.round(disadvantage * 6 * variance);
+        const stabilityLoss = Math.round(1 + disadvantage * 3 + exhaustion / 50);
+        const populationLoss = Math.floor(country.population * disadvantage * 0.01 * variance);
+
+        addChange(changes, country.id, 'power', -powerLoss);
+        addChange(changes, country.id, 'stability', -stabilityLoss);
+        addChange(changes, country.id, 'resources', -2);
+        addChange(changes, country.id, 'population', -populationLoss);
+
+        war.casualties[country.id] = (war.casualties[country.id] || 0) + populationLoss;
+        war.exhaustion[country.id] = clampValue(
+          Math.round(exhaustion + 3 + disadvantage * 10),
+          0,
+          100
+        );
+      }
+    }
+
+    const outcome = evaluateOutcome(worldState, war, attackers, defenders, activeFronts);
+    if (outcome === 'STALEMATE') {
+      for (const id of [...attackers, ...defenders]) {
+        addChange(changes, id, 'stability', -5);
+      }
+      events.push(endWar(worldState, war, 'STALEMATE'));
+    } else if (outcome) {
+      events.push(settleVictory(worldState, war, outcome, changes));
+    }
+  }
+
+  return { changes, events };
+}
+
+function evaluateOutcome(worldState, war, attackers, defenders, fronts) {
+  const average = (values) => values.reduce((sum, v) => sum + v, 0) / Math.max(values.length, 1);
+
+  const balance = average(fronts.map(f => f.balance));
+  const attackerExhaustion = average(attackers.map(id => war.exhaustion[id] || 0));
+  const defenderExhaustion = average(defenders.map(id => war.exhaustion[id] || 0));
+
+  if (balance >= VICTORY_BALANCE || defenderExhaustion >= CAPITULATION_EXHAUSTION) return 'ATTACKERS';
+  if (balance <= -VICTORY_BALANCE || attackerExhaustion >= CAPITULATION_EXHAUSTION) return 'DEFENDERS';
+
+  const duration = worldState.tick - war.startTick;
+  if (
+    duration >= STALEMATE_MIN_TICKS &&
+    Math.abs(balance) < 20 &&
+    attackerExhaustion >= STALEMATE_EXHAUSTION &&
+    defenderExhaustion >= STALEMATE_EXHAUSTION
+  ) {
+    return 'STALEMATE';
+  }
+
+  return null;
+}
+
+function settleVictory(worldState, war, winner, changes) {
+  const survivors = (ids) => ids.filter(id => !(war.capitulated || []).includes(id));
+  const winners = survivors(winner === 'ATTACKERS' ? war.attackers : war.defenders);
+  const losers = winner === 'ATTACKERS' ? war.defenders : war.attackers;
+
+  for (const id of winners) {
+    addChange(changes, id, 'power', 5);
+    addChange(changes, id, 'stability', 5);
+  }
+  for (const id of losers) {
+    addChange(changes, id, 'power', -10);
+    addChange(changes, id, 'stability', -10);
+    addChange(changes, id, 'resources', -10);
+  }
+
+  return endWar(worldState, war, 'VICTORY', winner);
+}
+
+/**
+ * Summaries of active wars for prompts and the strategist
+ */
+export function describeActiveWars(worldState) {
+  const nameOf = (id) => worldState.countries.find(c => c.id === id)?.name || id;
+
+  return getActiveWars(worldState).map(war => ({
+    id: war.id,
+    attackers: war.attackers,
+    defenders: war.defenders,
+    attackerNames: war.attackers.map(nameOf),
+    defenderNames: war.defenders.map(nameOf),
+    startYear: war.startYear,
+    durationYears: worldState.year - war.startYear,
+    balance: Math.round(war.fronts.reduce((sum, f) => sum + f.balance, 0) / Math.max(war.fronts.length, 1)),
+    exhaustion: war.exhaustion,
+    casualties: war.casualties
+  }));
+}
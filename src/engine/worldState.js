@@ -22,12 +22,167 @@ export class WorldState {
 
   async save(worldState) {
     worldState.updatedAt = new Date();
-    
+
+    // Schedule, budget and status are changed through the API (or another
+    // process) while ticks run; a tick must not write back the copies it
+    // loaded. Status changes go through setStatus.
+    const { schedule, budget, status, pausedReason, ...state } = worldState;
+
+    await this.db.collection('world_states').updateOne(
+      { simulationId: this.simulationId },
+      { $set: state },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Sets the simulation status, with the fields that go with it (e.g. pausedReason)
+   */
+  async setStatus(status, fields = {}) {
     await this.db.collection('world_states').updateOne(
       { simulationId: this.simulationId },
-      { $set: worldState },
+      { $set: { status, ...fields, updatedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Compact copy of the per-tick state: countries and metrics, no event history
+   */
+  createSnapshot(worldState) {
+    return {
+      simulationId: this.simulationId,
+      tick: worldState.tick,
+      year: worldState.year,
+      countries: worldState.countries.map(c => ({
+        id: c.id,
+        name: c.name,
+        ideology: c.ideology,
+        power: c.power,
+        stability: c.stability,
+        technology: c.technology,
+        resources: c.resources,
+        population: c.population,
+        alliances: [...(c.alliances || [])],
+        tensions: { ...(c.tensions || {}) },
+        collapsing: c.collapsing || false
+      })),
+      wars: worldState.wars || [],
+      tradeAgreements: worldState.tradeAgreements || [],
+      intel: worldState.intel || {},
+      metrics: worldState.metrics,
+      status: worldState.status,
+      createdAt: new Date()
+    };
+  }
+
+  async saveSnapshot(worldState) {
+    const snapshot = this.createSnapshot(worldState);
+
+    await this.db.collection('world_snapshots').replaceOne(
+      { simulationId: this.simulationId, tick: snapshot.tick },
+      snapshot,
       { upsert: true }
     );
+
+    return snapshot;
+  }
+
+  async loadSnapshot(tick) {
+    return this.db.collection('world_snapshots')
+      .findOne({ simulationId: this.simulationId, tick });
+  }
+
+  /**
+   * Per-country stat, alliance and tension changes between two snapshots
+   */
+  diffSnapshots(before, after) {
+    const stats = ['power', 'stability', 'technology', 'resources', 'population'];
+    const countries = {};
+
+    for (const country of after.countries) {
+      const previous = before.countries.find(c => c.id === country.id);
+
+      if (!previous) {
+        countries[country.id] = { name: country.name, added: true };
+        continue;
+      }
+
+      const statChanges = {};
+      for (const stat of stats) {
+        const delta = (country[stat] || 0) - (previous[stat] || 0);
+        if (delta !== 0) {
+          statChanges[stat] = { from: previous[stat], to: country[stat], delta };
+        }
+      }
+
+      const alliancesFormed = country.alliances.filter(id => !previous.alliances.includes(id));
+      const alliancesBroken = previous.alliances.filter(id => !country.alliances.includes(id));
+
+      const tensionChanges = {};
+      const targets = new Set([...Object.keys(previous.tensions), ...Object.keys(country.tensions)]);
+      for (const targetId of targets) {
+        const from = previous.tensions[targetId] || 0;
+        const to = country.tensions[targetId] || 0;
+        if (from !== to) {
+          tensionChanges[targetId] = { from, to, delta: to - from };
+        }
+      }
+
+      if (
+        Object.keys(statChanges).length > 0 ||
+        alliancesFormed.length > 0 ||
+        alliancesBroken.length > 0 ||
+        Object.keys(tensionChanges).length > 0
+      ) {
+        countries[country.id] = {
+          name: country.name,
+          stats: statChanges,
+          alliancesFormed,
+          alliancesBroken,
+          tensions: tensionChanges
+        };
+      }
+    }
+
+    for (const country of before.countries) {
+      if (!after.countries.some(c => c.id === country.id)) {
+        countries[country.id] = { name: country.name, removed: true };
+      }
+    }
+
+    const beforeWars = before.wars || [];
+    const afterWars = after.wars || [];
+    const warsStarted = afterWars
+      .filter(w => !beforeWars.some(b => b.id === w.id))
+      .map(w => ({ id: w.id, attackers: w.attackers, defenders: w.defenders }));
+    const warsEnded = afterWars
+      .filter(w => w.status === 'ENDED' && beforeWars.some(b => b.id === w.id && b.status === 'ACTIVE'))
+      .map(w => ({ id: w.id, outcome: w.outcome }));
+
+    const beforeTrade = before.tradeAgreements || [];
+    const afterTrade = after.tradeAgreements || [];
+    const tradeAgreementsSigned = afterTrade
+      .filter(a => !beforeTrade.some(b => b.id === a.id))
+      .map(a => ({ id: a.id, partners: a.partners }));
+    const tradeAgreementsEnded = afterTrade
+      .filter(a => a.status === 'ENDED' && beforeTrade.some(b => b.id === a.id && b.status === 'ACTIVE'))
+      .map(a => ({ id: a.id, partners: a.partners, reason: a.endReason }));
+
+    return {
+      fromTick: before.tick,
+      toTick: after.tick,
+      fromYear: before.year,
+      toYear: after.year,
+      stabilityIndex: {
+        from: before.metrics?.stabilityIndex,
+        to: after.metrics?.stabilityIndex
+      },
+      countries,
+      warsStarted,
+      warsEnded,
+      tradeAgreementsSigned,
+      tradeAgreementsEnded
+    };
   }
 
   applyChanges(worldState, changes) {
@@ -1,17 +1,40 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { connectDB } from './db/connection.js';
+import { connectDB, closeDB } from './db/connection.js';
 import { WorldSimulator } from './engine/simulator.js';
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { WorldState } from './engine/worldState.js';
+import { RESOLUTION_MODES } from './engine/ruleResolver.js';
+import { loadWorldInit, buildInitialWorldState, buildAgents } from './engine/setup.js';
+import { MAX_ENSEMBLE_RUNS, ensembleSeeds, buildEnsembleReport } from './engine/ensemble.js';
+import { parseTimeseriesQuery, downsample, toTimeseriesPoint, timeseriesToCsv } from './engine/timeseries.js';
+import { CHRONICLE_FORMATS, buildChronicle, renderChronicleMarkdown, renderChronicleHtml } from './engine/chronicle.js';
+import { validateHistorianSettings, validateStyle, historianSettings, chapterRange } from './engine/historian.js';
+import { validateScenario } from './db/models.js';
+import { DEFAULT_PROVIDER, isKnownProvider, providerRequiresApiKey } from './agents/providers.js';
+import { UsageTracker, checkBudget } from './agents/usage.js';
+import {
+  encryptApiKey,
+  fingerprintApiKey,
+  isEncrypted,
+  isEncryptionConfigured,
+  redactAgentOverrides
+} from './utils/secrets.js';
+import { generateId, generateSeed, generateSimulationId } from './utils/random.js';
+import { tickStream } from './utils/tickStream.js';
+import { MAX_TIMER_MS, validateSchedule, describeSchedule } from './utils/scheduler.js';
+import {
+  ROLES,
+  readCredentials,
+  authenticateToken,
+  createUser,
+  createShare,
+  resolveAccess
+} from './utils/auth.js';
+import { WebSocketServer } from 'ws';
 
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -28,355 +51,2093 @@ let db;
 // Initialize DB connection
 (async () => {
   try {
-    db = await connectDB();
-    console.log('✅ Database connected and ready');
+    db = await connectDB();
+    await encryptStoredApiKeys();
+    console.log('✅ Database connected and ready');
+
+    if (!process.env.ADMIN_TOKEN) {
+      console.warn('⚠️ ADMIN_TOKEN is not set; no users can be created');
+    }
+
+    await recoverSimulations();
+  } catch (error) {
+    console.error('❌ Failed to connect to database:', error);
+    process.exit(1);
+  }
+})();
+
+// =============================================================================
+// SIMULATION HELPERS
+// =============================================================================
+
+const ENCRYPTION_NOT_CONFIGURED = 'API key encryption is not configured (set API_KEY_ENCRYPTION_KEY)';
+
+/**
+ * Encrypts keys stored in plaintext before encryption at rest was introduced,
+ * and scrubs keys from the fork overrides recorded in lineage
+ */
+async function encryptStoredApiKeys() {
+  const configs = await db.collection('agent_configs').find({}).toArray();
+  const plaintext = configs.filter(config => config.agents.some(a => a.apiKey && !isEncrypted(a.apiKey)));
+
+  if (plaintext.length > 0 && !isEncryptionConfigured()) {
+    console.warn(`⚠️ ${plaintext.length} simulations store plaintext API keys; set API_KEY_ENCRYPTION_KEY to encrypt them`);
+  } else {
+    for (const config of plaintext) {
+      await db.collection('agent_configs').updateOne(
+        { simulationId: config.simulationId },
+        { $set: { agents: config.agents.map(a => ({ ...a, apiKey: encryptApiKey(a.apiKey) })) } }
+      );
+    }
+    if (plaintext.length > 0) {
+      console.log(`🔑 Encrypted stored API keys for ${plaintext.length} simulations`);
+    }
+  }
+
+  const forks = await db.collection('world_states')
+    .find({ 'lineage.overrides.agents': { $exists: true } })
+    .toArray();
+
+  for (const fork of forks) {
+    await db.collection('world_states').updateOne(
+      { simulationId: fork.simulationId },
+      { $set: { 'lineage.overrides': redactAgentOverrides(fork.lineage.overrides) } }
+    );
+  }
+}
+
+/**
+ * Query for a stored scenario the user may use. Scenario ids are unique per
+ * owner: users reach their own, admins another owner's by passing `ownerId`.
+ */
+function scenarioQuery(user, scenarioId, ownerId = null) {
+  return { scenarioId, ownerId: user.isAdmin && ownerId ? ownerId : user.userId };
+}
+
+/**
+ * Resolves the scenario for a new simulation: a stored scenario by id, an
+ * inline definition, or the default world. Returns { scenario } or { error }.
+ */
+async function resolveScenario({ scenarioId, scenario }, user) {
+  if (scenarioId && scenario) {
+    return { error: 'Provide either scenarioId or scenario, not both' };
+  }
+
+  if (scenarioId) {
+    const stored = await db.collection('scenarios').findOne(scenarioQuery(user, scenarioId));
+    if (!stored) {
+      return { error: `Scenario not found: ${scenarioId}`, status: 404 };
+    }
+    const { _id, ownerId, createdAt, updatedAt, ...definition } = stored;
+    return { scenario: definition };
+  }
+
+  if (scenario) {
+    const errors = validateScenario(scenario);
+    if (errors.length > 0) {
+      return { error: 'Invalid scenario', details: errors };
+    }
+    return { scenario: { ...scenario, scenarioId: null } };
+  }
+
+  return { scenario: { scenarioId: null, ...loadWorldInit() } };
+}
+
+/**
+ * Validates an optional usage budget { maxCostUsd, maxTokens }. Returns an error message or null.
+ */
+function validateBudget(budget) {
+  if (budget === undefined || budget === null) return null;
+  if (typeof budget !== 'object' || Array.isArray(budget)) {
+    return 'budget must be an object';
+  }
+
+  for (const field of ['maxCostUsd', 'maxTokens']) {
+    const value = budget[field];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || value <= 0)) {
+      return `budget.${field} must be a positive number`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Applies { countryId: { stat: value } } overrides in place; returns an error message or null
+ */
+function applyCountryOverrides(countries, countryOverrides) {
+  const ranged = ['power', 'stability', 'technology', 'resources'];
+
+  for (const [countryId, values] of Object.entries(countryOverrides)) {
+    const country = countries.find(c => c.id === countryId);
+    if (!country) return `Unknown country in overrides: ${countryId}`;
+
+    for (const [stat, value] of Object.entries(values)) {
+      if (ranged.includes(stat)) {
+        if (typeof value !== 'number' || value < 0 || value > 100) {
+          return `Invalid ${stat} value for ${country.name}`;
+        }
+      } else if (stat === 'population') {
+        if (typeof value !== 'number' || value < 0) {
+          return `Invalid population value for ${country.name}`;
+        }
+      } else {
+        return `Cannot override ${stat} for ${country.name}`;
+      }
+      country[stat] = value;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Applies { agentId: { provider, apiKey, countryId, personality } } overrides in place,
+ * encrypting keys; returns an error message or null
+ */
+function applyAgentOverrides(agents, agentOverrides, countries) {
+  const allowed = ['provider', 'apiKey', 'countryId', 'personality'];
+
+  for (const [agentId, values] of Object.entries(agentOverrides)) {
+    const agent = agents.find(a => a.id === agentId);
+    if (!agent) return `Unknown agent in overrides: ${agentId}`;
+
+    for (const [field, value] of Object.entries(values)) {
+      if (!allowed.includes(field)) return `Cannot override ${field} for agent ${agentId}`;
+      if (field === 'provider' && !isKnownProvider(value)) return `Unknown provider: ${value}`;
+      if (field === 'countryId' && !countries.some(c => c.id === value)) return `Unknown country: ${value}`;
+      if (field === 'apiKey' && value && !isEncryptionConfigured()) return ENCRYPTION_NOT_CONFIGURED;
+      agent[field] = field === 'apiKey' ? encryptApiKey(value) : value;
+    }
+  }
+
+  return null;
+}
+
+const DEFAULT_SCHEDULE = { tickIntervalMinutes: 5, cron: null, timezone: null, durationHours: null, endsAt: null };
+
+const autoStopTimers = new Map();
+
+function hasEnded(schedule) {
+  return Boolean(schedule.endsAt) && new Date(schedule.endsAt) <= new Date();
+}
+
+function getSimulator(simulationId) {
+  if (!activeSimulations.has(simulationId)) {
+    activeSimulations.set(simulationId, new WorldSimulator(simulationId, db));
+  }
+  return activeSimulations.get(simulationId);
+}
+
+/**
+ * Completes the simulation at its absolute end time
+ */
+function armAutoStop(simulationId, endsAt) {
+  clearTimeout(autoStopTimers.get(simulationId));
+  autoStopTimers.delete(simulationId);
+
+  if (!endsAt) return;
+
+  const remainingMs = new Date(endsAt).getTime() - Date.now();
+  if (!Number.isFinite(remainingMs)) {
+    console.error(`❌ Invalid end time for simulation ${simulationId}: ${endsAt}`);
+    return;
+  }
+  const timer = setTimeout(async () => {
+    if (remainingMs > MAX_TIMER_MS) {
+      armAutoStop(simulationId, endsAt);
+      return;
+    }
+
+    autoStopTimers.delete(simulationId);
+    try {
+      await getSimulator(simulationId).complete('DURATION_LIMIT');
+    } catch (error) {
+      console.error(`❌ Failed to auto-stop simulation ${simulationId}:`, error.message);
+    }
+  }, Math.max(0, Math.min(remainingMs, MAX_TIMER_MS)));
+
+  autoStopTimers.set(simulationId, timer);
+}
+
+/**
+ * Starts ticking a stored simulation on its schedule and arms its auto-stop
+ */
+async function startSimulator(simulationId, schedule, firstRunAt = null) {
+  const simulator = getSimulator(simulationId);
+
+  armAutoStop(simulationId, schedule.endsAt);
+  await simulator.start(schedule, firstRunAt);
+
+  return simulator;
+}
+
+/**
+ * Tick timing of a new simulation: an interval (default 5 minutes) or a cron
+ * expression, plus an absolute end time so the duration survives restarts
+ */
+function buildSchedule({ tickIntervalMinutes, cron, timezone, durationHours }) {
+  return {
+    tickIntervalMinutes: cron ? null : tickIntervalMinutes || DEFAULT_SCHEDULE.tickIntervalMinutes,
+    cron: cron || null,
+    timezone: cron && timezone ? timezone : null,
+    durationHours: durationHours || null,
+    endsAt: durationHours ? new Date(Date.now() + durationHours * 60 * 60 * 1000) : null
+  };
+}
+
+/**
+ * Persists the schedule of a new simulation and starts it. Returns the schedule.
+ */
+async function launchSimulation(simulationId, timing) {
+  const schedule = buildSchedule(timing);
+
+  await db.collection('world_states').updateOne(
+    { simulationId },
+    { $set: { schedule } }
+  );
+
+  await startSimulator(simulationId, schedule);
+  return schedule;
+}
+
+const AGENT_ROLES = ['overseer', 'leaders', 'thinker', 'strategist', 'historian'];
+
+/**
+ * Validates a create request body (as accepted by /api/simulation/create) and
+ * resolves its scenario. Returns { error, status } or the settings to create from.
+ */
+async function parseCreateRequest(body, user) {
+  const {
+    apiKeys = {},
+    provider = DEFAULT_PROVIDER,
+    providers = {},
+    durationHours,
+    tickIntervalMinutes,
+    cron,
+    timezone,
+    seed = generateSeed(),
+    resolutionMode = 'llm',
+    concurrency,
+    budget,
+    scenarioId,
+    scenario: inlineScenario,
+    historian
+  } = body;
+
+  // Resolve the provider for each agent role (overseer, leaders, thinker, strategist, historian)
+  const providerFor = (role) => providers[role] || provider;
+
+  for (const role of AGENT_ROLES) {
+    if (!isKnownProvider(providerFor(role))) {
+      return { error: `Unknown provider for ${role}: ${providerFor(role)}` };
+    }
+  }
+
+  // Validate input
+  if (providerRequiresApiKey(providerFor('overseer')) && !apiKeys.overseer) {
+    return { error: 'Missing required API keys' };
+  }
+  if (providerRequiresApiKey(providerFor('leaders')) && (!apiKeys.leaders || apiKeys.leaders.length === 0)) {
+    return { error: 'Missing required API keys' };
+  }
+
+  // Keys are only ever stored encrypted
+  const suppliedKeys = [apiKeys.overseer, apiKeys.thinker, apiKeys.strategist, apiKeys.historian, ...(apiKeys.leaders || [])];
+  if (suppliedKeys.some(Boolean) && !isEncryptionConfigured()) {
+    return { error: ENCRYPTION_NOT_CONFIGURED, status: 500 };
+  }
+
+  if (typeof seed !== 'number' && typeof seed !== 'string') {
+    return { error: 'Seed must be a number or string' };
+  }
+
+  if (!RESOLUTION_MODES.includes(resolutionMode)) {
+    return { error: `resolutionMode must be one of: ${RESOLUTION_MODES.join(', ')}` };
+  }
+
+  if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1)) {
+    return { error: 'concurrency must be a positive integer' };
+  }
+
+  const budgetError = validateBudget(budget);
+  if (budgetError) {
+    return { error: budgetError };
+  }
+
+  const scheduleError = validateSchedule({ tickIntervalMinutes, cron, timezone, durationHours });
+  if (scheduleError) {
+    return { error: scheduleError };
+  }
+
+  const historianError = validateHistorianSettings(historian);
+  if (historianError) {
+    return { error: historianError };
+  }
+
+  // Load the scenario (stored, inline or default world)
+  const resolved = await resolveScenario({ scenarioId, scenario: inlineScenario }, user);
+  if (resolved.error) {
+    return resolved;
+  }
+
+  return {
+    scenario: resolved.scenario,
+    providerFor,
+    apiKeys,
+    seed,
+    resolutionMode,
+    concurrency: concurrency || null,
+    budget: budget || null,
+    historian: historian
+      ? { intervalYears: historian.intervalYears || null, style: historian.style || null }
+      : null,
+    timing: { tickIntervalMinutes, cron, timezone, durationHours }
+  };
+}
+
+/**
+ * Stores a new simulation from parsed create settings and starts it.
+ * `extra` fields are added to its world state. Returns { simulationId, schedule }.
+ */
+async function createSimulation(user, settings, seed, extra = {}) {
+  const { scenario, providerFor, apiKeys, resolutionMode, concurrency, budget, historian, timing } = settings;
+  const simulationId = generateSimulationId();
+
+  await db.collection('world_states').insertOne({
+    ...buildInitialWorldState(simulationId, user.userId, scenario, seed, resolutionMode, budget),
+    historian,
+    ...extra
+  });
+
+  await db.collection('agent_configs').insertOne({
+    simulationId,
+    ownerId: user.userId,
+    agents: buildAgents(scenario, providerFor, apiKeys),
+    concurrency,
+    cassette: { mode: 'record' }
+  });
+
+  const schedule = await launchSimulation(simulationId, timing);
+  return { simulationId, schedule };
+}
+
+/**
+ * Restarts simulations that were running, or paused by a shutdown, when the
+ * server last stopped. Each resumes at its stored next tick time; a tick
+ * missed while the server was down runs right away.
+ */
+async function recoverSimulations() {
+  // Simulations driven by the batch runner are ticked by that process, not here
+  const states = await db.collection('world_states')
+    .find({
+      $or: [{ status: 'RUNNING' }, { status: 'PAUSED', pausedReason: 'SHUTDOWN' }],
+      runner: { $ne: 'batch' }
+    })
+    .project({ simulationId: 1, schedule: 1 })
+    .toArray();
+
+  for (const state of states) {
+    const { simulationId } = state;
+    const schedule = state.schedule || DEFAULT_SCHEDULE;
+
+    try {
+      if (hasEnded(schedule)) {
+        await getSimulator(simulationId).complete('DURATION_LIMIT');
+        continue;
+      }
+
+      await db.collection('world_states').updateOne(
+        { simulationId },
+        { $set: { status: 'RUNNING' }, $unset: { pausedReason: '' } }
+      );
+
+      const firstRunAt = schedule.nextTickAt
+        ? new Date(Math.max(Date.now(), new Date(schedule.nextTickAt).getTime()))
+        : null;
+
+      await startSimulator(simulationId, schedule, firstRunAt);
+      console.log(`♻️ Recovered simulation ${simulationId}`);
+    } catch (error) {
+      console.error(`❌ Failed to recover simulation ${simulationId}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Events a resuming client missed: persisted tick summaries for ticks that have
+ * already left the live buffer, followed by the buffered phase events
+ */
+async function loadStreamBacklog(simulationId, { afterTick = null, afterEventId = null }) {
+  const resumeTick = afterEventId ? parseInt(afterEventId.split(':')[0]) : afterTick;
+  if (resumeTick === null || Number.isNaN(resumeTick)) return [];
+
+  const oldestBuffered = tickStream.getOldestBufferedTick(simulationId);
+  const tickRange = { $gt: resumeTick };
+  if (oldestBuffered !== null) {
+    tickRange.$lt = oldestBuffered;
+  }
+
+  const archived = await db.collection('event_logs')
+    .find({ simulationId, eventType: 'TICK_SUMMARY', tick: tickRange })
+    .sort({ tick: 1 })
+    .toArray();
+
+  return [
+    ...archived.map(log => ({
+      id: `${log.tick}:summary`,
+      simulationId,
+      tick: log.tick,
+      type: 'tick_summary',
+      data: {
+        tick: log.tick,
+        year: log.year,
+        stabilityIndex: log.stabilityIndex,
+        events: log.events?.length || 0
+      },
+      replayed: true,
+      timestamp: log.timestamp
+    })),
+    ...tickStream.getBuffered(simulationId, { afterTick, afterEventId })
+  ];
+}
+
+/**
+ * Subscribes a client to a simulation's tick stream, sending any backlog first.
+ * Live events that arrive while the backlog loads are queued so none are lost.
+ * Returns an unsubscribe function.
+ */
+async function openTickStream(simulationId, resumeFrom, send) {
+  const pending = [];
+  let ready = false;
+
+  const unsubscribe = tickStream.subscribe(simulationId, (event) => {
+    if (ready) send(event);
+    else pending.push(event);
+  });
+
+  const backlog = await loadStreamBacklog(simulationId, resumeFrom);
+  const sent = new Set(backlog.map(e => e.id));
+
+  backlog.forEach(send);
+  pending.filter(e => !sent.has(e.id)).forEach(send);
+  ready = true;
+
+  return unsubscribe;
+}
+
+// =============================================================================
+// AUTHENTICATION
+// =============================================================================
+
+/**
+ * Identifies the caller on every request; routes decide what they require
+ */
+app.use(async (req, res, next) => {
+  try {
+    const { token, shareToken } = readCredentials(req.headers, req.query);
+    req.user = await authenticateToken(db, token);
+    req.shareToken = shareToken;
+
+    if (token && !req.user) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.user?.isAdmin) {
+    return res.status(403).json({ error: 'Admin token required' });
+  }
+  next();
+}
+
+/**
+ * Requires at least `role` on the simulation in :id. Simulations the caller
+ * cannot see are reported as not found, so teams cannot probe each other's ids.
+ */
+function requireRole(role) {
+  return async (req, res, next) => {
+    try {
+      if (!req.user && !req.shareToken) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      const access = await resolveAccess(db, req, req.params.id);
+      if (!access) {
+        return res.status(404).json({ error: 'Simulation not found' });
+      }
+      if (role === ROLES.OWNER && access.role !== ROLES.OWNER) {
+        return res.status(403).json({ error: 'Only the owner can do this' });
+      }
+
+      req.access = access;
+      next();
+    } catch (error) {
+      console.error('❌ Error checking access:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+// =============================================================================
+// API ROUTES
+// =============================================================================
+
+/**
+ * Health check endpoint
+ */
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'alive',
+    activeSimulations: activeSimulations.size,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Create a user (admin only). The token is shown once. Body: { name }
+ */
+app.post('/api/users', requireAdmin, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const user = await createUser(db, name.trim());
+    console.log(`👤 User created: ${user.userId} (${user.name})`);
+
+    res.status(201).json(user);
+  } catch (error) {
+    console.error('❌ Error creating user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Current user
+ */
+app.get('/api/me', requireUser, (req, res) => {
+  res.json(req.user);
+});
+
+/**
+ * Create new simulation
+ */
+app.post('/api/simulation/create', requireUser, async (req, res) => {
+  try {
+    const request = await parseCreateRequest(req.body, req.user);
+    if (request.error) {
+      return res.status(request.status || 400).json({ error: request.error, details: request.details });
+    }
+
+    const { scenario, seed, resolutionMode, budget } = request;
+    const { simulationId, schedule } = await createSimulation(req.user, request, seed);
+
+    console.log(`✅ Simulation created: ${simulationId}`);
+    console.log(`   Duration: ${schedule.durationHours || 'unlimited'} hours`);
+    console.log(`   Ticks: ${describeSchedule(schedule)}`);
+
+    res.json({
+      simulationId,
+      status: 'STARTED',
+      worldName: scenario.worldName,
+      scenarioId: scenario.scenarioId,
+      startYear: scenario.startYear || 0,
+      seed,
+      resolutionMode,
+      budget,
+      countries: scenario.countries.length,
+      tickIntervalMinutes: schedule.tickIntervalMinutes,
+      durationHours: schedule.durationHours,
+      schedule
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating simulation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Fork a simulation from the snapshot after a past tick into a new simulation.
+ * Body: { tick, copyEventLog, overrides: { countries, agents, resolutionMode },
+ *         tickIntervalMinutes | cron + timezone, durationHours }
+ */
+app.post('/api/simulation/:id/fork', requireRole(ROLES.OWNER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      tick,
+      copyEventLog = false,
+      overrides = {},
+      durationHours,
+      tickIntervalMinutes,
+      cron,
+      timezone
+    } = req.body;
+
+    if (!Number.isInteger(tick) || tick < 0) {
+      return res.status(400).json({ error: 'tick must be a non-negative integer' });
+    }
+
+    const scheduleError = validateSchedule({ tickIntervalMinutes, cron, timezone, durationHours });
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    const parentState = await db.collection('world_states').findOne({ simulationId: id });
+    const parentConfig = await db.collection('agent_configs').findOne({ simulationId: id });
+
+    if (!parentState || !parentConfig) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    const snapshot = await new WorldState(db, id).loadSnapshot(tick);
+    if (!snapshot) {
+      return res.status(404).json({ error: `No snapshot for tick ${tick}` });
+    }
+
+    // Snapshots hold stats only; descriptions and history come from the parent
+    const countries = snapshot.countries.map(c => ({
+      ...parentState.countries.find(pc => pc.id === c.id),
+      ...c
+    }));
+
+    const countryError = applyCountryOverrides(countries, overrides.countries || {});
+    if (countryError) {
+      return res.status(400).json({ error: countryError });
+    }
+
+    const agents = parentConfig.agents.map(agent => ({
+      ...agent,
+      memory: [],
+      memorySummaries: [],
+      decisionHistory: []
+    }));
+
+    const agentError = applyAgentOverrides(agents, overrides.agents || {}, countries);
+    if (agentError) {
+      return res.status(400).json({ error: agentError });
+    }
+
+    if (overrides.resolutionMode && !RESOLUTION_MODES.includes(overrides.resolutionMode)) {
+      return res.status(400).json({ error: `resolutionMode must be one of: ${RESOLUTION_MODES.join(', ')}` });
+    }
+
+    const simulationId = generateSimulationId();
+    const lineage = {
+      parentId: id,
+      rootId: parentState.lineage?.rootId || id,
+      forkTick: tick,
+      overrides: redactAgentOverrides(overrides)
+    };
+
+    // The world the fork's first tick runs on; replays of the fork start here
+    const initialState = {
+      tick: tick + 1,
+      year: snapshot.year + 1,
+      countries,
+      globalEvents: (parentState.globalEvents || []).filter(e => e.tick <= tick),
+      wars: snapshot.wars || [],
+      tradeAgreements: snapshot.tradeAgreements || [],
+      intel: snapshot.intel || {},
+      metrics: snapshot.metrics
+    };
+
+    await db.collection('world_states').insertOne({
+      simulationId,
+      ownerId: req.user.userId,
+      ...structuredClone(initialState),
+      startYear: parentState.startYear || 0,
+      seed: parentState.seed ?? id,
+      resolutionMode: overrides.resolutionMode || parentState.resolutionMode || 'llm',
+      budget: parentState.budget || null,
+      historian: parentState.historian || null,
+      scenarioId: parentState.scenarioId || null,
+      initialScenario: parentState.initialScenario || null,
+      initialState,
+      worldName: parentState.worldName,
+      description: parentState.description,
+      status: 'RUNNING',
+      lineage,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    await db.collection('agent_configs').insertOne({
+      simulationId,
+      ownerId: req.user.userId,
+      agents,
+      concurrency: parentConfig.concurrency || null,
+      cassette: { mode: 'record' }
+    });
+
+    if (copyEventLog) {
+      for (const collection of ['event_logs', 'world_snapshots']) {
+        const prefix = await db.collection(collection)
+          .find({ simulationId: id, tick: { $lte: tick } })
+          .toArray();
+
+        if (prefix.length > 0) {
+          await db.collection(collection).insertMany(
+            prefix.map(({ _id, ...doc }) => ({ ...doc, simulationId }))
+          );
+        }
+      }
+
+      // Chapters written entirely before the fork point belong to the shared past
+      const chapters = await db.collection('history_chapters')
+        .find({ simulationId: id, toTick: { $lte: tick } })
+        .toArray();
+
+      if (chapters.length > 0) {
+        await db.collection('history_chapters').insertMany(
+          chapters.map(({ _id, ...doc }) => ({ ...doc, simulationId }))
+        );
+      }
+    }
+
+    const schedule = await launchSimulation(simulationId, { tickIntervalMinutes, cron, timezone, durationHours });
+
+    console.log(`✅ Fork created: ${simulationId} (parent: ${id}, tick ${tick})`);
+
+    res.json({
+      simulationId,
+      status: 'STARTED',
+      lineage,
+      startTick: tick + 1,
+      tickIntervalMinutes: schedule.tickIntervalMinutes,
+      durationHours: schedule.durationHours,
+      schedule
+    });
+  } catch (error) {
+    console.error('❌ Error forking simulation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List forks of a simulation with their current outcome, for branch comparison
+ */
+app.get('/api/simulation/:id/forks', requireRole(ROLES.VIEWER), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Forks are listed for whoever may see the parent, but only the parent owner's own
+    const forks = await db.collection('world_states')
+      .find({ 'lineage.parentId': id, ownerId: req.access.ownerId })
+      .project({
+        simulationId: 1,
+        status: 1,
+        tick: 1,
+        year: 1,
+        lineage: 1,
+        'metrics.stabilityIndex': 1,
+        createdAt: 1
+      })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    res.json({ simulationId: id, count: forks.length, forks });
+  } catch (error) {
+    console.error('❌ Error listing forks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Replay a recorded simulation: same seed and initial world, agent responses
+ * served from the source simulation's cassettes instead of the model
+ */
+app.post('/api/simulation/:id/replay', requireRole(ROLES.OWNER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { durationHours, tickIntervalMinutes, cron, timezone } = req.body;
+
+    const scheduleError = validateSchedule({ tickIntervalMinutes, cron, timezone, durationHours });
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    const sourceState = await db.collection('world_states').findOne({ simulationId: id });
+    const sourceConfig = await db.collection('agent_configs').findOne({ simulationId: id });
+
+    if (!sourceState || !sourceConfig) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    const recorded = await db.collection('agent_cassettes').countDocuments({ simulationId: id });
+    if (recorded === 0) {
+      return res.status(400).json({ error: 'Simulation has no recorded agent calls' });
+    }
+
+    const simulationId = generateSimulationId();
+
+    // Older simulations predate stored scenarios and always used the default world
+    const scenario = sourceState.initialScenario || { scenarioId: null, ...loadWorldInit() };
+
+    // Forks start mid-history: their replay starts from the world their first tick ran on
+    if (sourceState.lineage && !sourceState.initialState) {
+      return res.status(400).json({ error: 'This fork was created without its starting state and cannot be replayed; replay its parent instead' });
+    }
+    const start = sourceState.initialState
+      ? { ...structuredClone(sourceState.initialState), initialState: sourceState.initialState }
+      : {};
+
+    await db.collection('world_states').insertOne({
+      ...buildInitialWorldState(simulationId, req.user.userId, scenario, sourceState.seed ?? id, sourceState.resolutionMode, sourceState.budget || null),
+      ...start,
+      historian: sourceState.historian || null,
+      replayOf: id
+    });
+
+    await db.collection('agent_configs').insertOne({
+      simulationId,
+      ownerId: req.user.userId,
+      agents: sourceConfig.agents.map(agent => ({
+        ...agent,
+        memory: [],
+        memorySummaries: [],
+        decisionHistory: []
+      })),
+      concurrency: sourceConfig.concurrency || null,
+      cassette: { mode: 'replay', sourceSimulationId: id }
+    });
+
+    const schedule = await launchSimulation(simulationId, { tickIntervalMinutes, cron, timezone, durationHours });
+
+    console.log(`✅ Replay created: ${simulationId} (source: ${id})`);
+
+    res.json({
+      simulationId,
+      status: 'STARTED',
+      replayOf: id,
+      recordedCalls: recorded,
+      tickIntervalMinutes: schedule.tickIntervalMinutes,
+      durationHours: schedule.durationHours,
+      schedule
+    });
+  } catch (error) {
+    console.error('❌ Error creating replay:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get recorded agent calls for a simulation. Owner only: entries hold full
+ * prompts and raw model responses, which share links must not expose.
+ */
+app.get('/api/simulation/:id/cassette', requireRole(ROLES.OWNER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = parseInt(req.query.limit) || 100;
+
+    const query = { simulationId: id };
+    if (req.query.tick !== undefined) {
+      query.tick = parseInt(req.query.tick);
+    }
+    if (req.query.agentId) {
+      query.agentId = req.query.agentId;
+    }
+    if (req.query.phase) {
+      query.phase = req.query.phase;
+    }
+
+    const entries = await db.collection('agent_cassettes')
+      .find(query)
+      .sort({ tick: 1, sequence: 1 })
+      .limit(limit)
+      .toArray();
+
+    res.json({ simulationId: id, count: entries.length, entries });
+  } catch (error) {
+    console.error('❌ Error fetching cassette:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Rotate API keys without restarting. Body: { apiKeys: { agentId: key } }
+ * Running simulations pick up the new keys on their next agent call.
+ */
+app.put('/api/simulation/:id/keys', requireRole(ROLES.OWNER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { apiKeys } = req.body;
+
+    if (!apiKeys || typeof apiKeys !== 'object' || Object.keys(apiKeys).length === 0) {
+      return res.status(400).json({ error: 'apiKeys must map agent ids to keys' });
+    }
+
+    if (!isEncryptionConfigured()) {
+      return res.status(500).json({ error: ENCRYPTION_NOT_CONFIGURED });
+    }
+
+    const config = await db.collection('agent_configs').findOne({ simulationId: id });
+    if (!config) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    for (const [agentId, key] of Object.entries(apiKeys)) {
+      const agent = config.agents.find(a => a.id === agentId);
+      if (!agent) {
+        return res.status(400).json({ error: `Unknown agent: ${agentId}` });
+      }
+      if (typeof key !== 'string' || !key.trim()) {
+        return res.status(400).json({ error: `Key for ${agentId} must be a non-empty string` });
+      }
+    }
+
+    const rotated = [];
+    for (const [agentId, key] of Object.entries(apiKeys)) {
+      const apiKey = encryptApiKey(key.trim());
+
+      await db.collection('agent_configs').updateOne(
+        { simulationId: id, 'agents.id': agentId },
+        { $set: { 'agents.$.apiKey': apiKey } }
+      );
+      rotated.push({ agentId, fingerprint: fingerprintApiKey(apiKey) });
+    }
+
+    const simulator = activeSimulations.get(id);
+    if (simulator) {
+      await simulator.agentManager.reloadClients();
+    }
+
+    console.log(`🔑 Rotated ${rotated.length} API keys for ${id}`);
+
+    res.json({ simulationId: id, rotated, reloaded: Boolean(simulator) });
+  } catch (error) {
+    console.error('❌ Error rotating API keys:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Create a read-only share link. Body: { label, expiresInHours }
+ */
+app.post('/api/simulation/:id/shares', requireRole(ROLES.OWNER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { label = null, expiresInHours = null } = req.body;
+
+    if (expiresInHours !== null && (typeof expiresInHours !== 'number' || expiresInHours <= 0)) {
+      return res.status(400).json({ error: 'expiresInHours must be a positive number' });
+    }
+
+    const share = await createShare(db, id, req.user.userId, { label, expiresInHours });
+
+    res.status(201).json({
+      ...share,
+      link: `/api/simulation/${id}/state?share=${share.token}`
+    });
+  } catch (error) {
+    console.error('❌ Error creating share link:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List share links (tokens are never shown again)
+ */
+app.get('/api/simulation/:id/shares', requireRole(ROLES.OWNER), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const shares = await db.collection('shares')
+      .find({ simulationId: id })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({ simulationId: id, shares: shares.map(({ _id, tokenHash, ...share }) => share) });
+  } catch (error) {
+    console.error('❌ Error listing share links:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Revoke a share link
+ */
+app.delete('/api/simulation/:id/shares/:shareId', requireRole(ROLES.OWNER), async (req, res) => {
+  try {
+    const { id, shareId } = req.params;
+
+    const result = await db.collection('shares').updateOne(
+      { simulationId: id, shareId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    res.json({ simulationId: id, shareId, revoked: true });
+  } catch (error) {
+    console.error('❌ Error revoking share link:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get per-agent output validation failure counts
+ */
+app.get('/api/simulation/:id/validation', requireRole(ROLES.VIEWER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const config = await db.collection('agent_configs').findOne({ simulationId: id });
+
+    if (!config) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    const agents = config.agents.map(agent => ({
+      id: agent.id,
+      role: agent.role,
+      countryId: agent.countryId,
+      validationFailures: agent.validationFailures || { total: 0 }
+    }));
+
+    res.json({
+      simulationId: id,
+      totalFailures: agents.reduce((sum, a) => sum + a.validationFailures.total, 0),
+      agents
+    });
+  } catch (error) {
+    console.error('❌ Error fetching validation stats:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Pause simulation
+ */
+app.post('/api/simulation/:id/pause', requireRole(ROLES.OWNER), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // The stored state is authoritative: the simulation may be ticked by the
+    // batch runner or may have failed to recover, with no simulator here
+    const state = await db.collection('world_states').findOne({ simulationId: id });
+    if (!state) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+    if (state.status === 'COMPLETED' || state.status === 'FAILED') {
+      return res.status(409).json({ error: `Simulation is ${state.status}`, status: state.status });
+    }
+
+    activeSimulations.get(id)?.pause();
+
+    // A user pause is not resumed at the next boot, unlike a SHUTDOWN one
+    await db.collection('world_states').updateOne(
+      { simulationId: id },
+      { $set: { status: 'PAUSED', updatedAt: new Date() }, $unset: { pausedReason: '' } }
+    );
+
+    res.json({ simulationId: id, status: 'PAUSED' });
+  } catch (error) {
+    console.error('❌ Error pausing simulation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Resume simulation
+ */
+app.post('/api/simulation/:id/resume', requireRole(ROLES.OWNER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const worldState = await db.collection('world_states').findOne({ simulationId: id });
+
+    if (!worldState) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    // A simulation paused for its budget stays paused until the budget is raised
+    const overBudget = checkBudget(worldState.budget, await new UsageTracker(db, id).getTotals());
+    if (overBudget) {
+      return res.status(409).json({ error: `Budget exceeded: ${overBudget}`, budget: worldState.budget });
+    }
+
+    const schedule = worldState.schedule || DEFAULT_SCHEDULE;
+    if (hasEnded(schedule)) {
+      await getSimulator(id).complete('DURATION_LIMIT');
+      return res.status(409).json({ error: 'Simulation has passed its end time', status: 'COMPLETED', endsAt: schedule.endsAt });
+    }
+
+    await db.collection('world_states').updateOne(
+      { simulationId: id },
+      { $set: { status: 'RUNNING', updatedAt: new Date() }, $unset: { pausedReason: '', runner: '' } }
+    );
+
+    await startSimulator(id, schedule);
+
+    res.json({ simulationId: id, status: 'RUNNING', schedule });
+  } catch (error) {
+    console.error('❌ Error resuming simulation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Tick schedule, with the next tick time while the simulation is running
+ */
+app.get('/api/simulation/:id/schedule', requireRole(ROLES.VIEWER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const state = await db.collection('world_states').findOne(
+      { simulationId: id },
+      { projection: { schedule: 1, status: 1, tick: 1 } }
+    );
+
+    const simulator = activeSimulations.get(id);
+    const status = simulator?.getStatus();
+
+    res.json({
+      simulationId: id,
+      status: state.status,
+      tick: state.tick,
+      schedule: state.schedule || DEFAULT_SCHEDULE,
+      running: Boolean(status?.isRunning),
+      tickInProgress: Boolean(status?.tickInProgress),
+      nextTickAt: status?.nextTickAt || null
+    });
+  } catch (error) {
+    console.error('❌ Error fetching schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Change the tick schedule. Body: { tickIntervalMinutes } or { cron, timezone }
+ * A running simulation switches over after any tick in progress.
+ */
+app.put('/api/simulation/:id/schedule', requireRole(ROLES.OWNER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tickIntervalMinutes, cron, timezone } = req.body;
+
+    if (tickIntervalMinutes == null && cron == null) {
+      return res.status(400).json({ error: 'Provide tickIntervalMinutes or cron' });
+    }
+
+    const scheduleError = validateSchedule({ tickIntervalMinutes, cron, timezone });
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    const state = await db.collection('world_states').findOne({ simulationId: id });
+    const schedule = {
+      ...DEFAULT_SCHEDULE,
+      ...state.schedule,
+      tickIntervalMinutes: cron ? null : tickIntervalMinutes,
+      cron: cron || null,
+      timezone: cron && timezone ? timezone : null,
+      nextTickAt: null
+    };
+
+    await db.collection('world_states').updateOne(
+      { simulationId: id },
+      { $set: { schedule, updatedAt: new Date() } }
+    );
+
+    const simulator = activeSimulations.get(id);
+    simulator?.reschedule(schedule);
+
+    res.json({
+      simulationId: id,
+      schedule,
+      nextTickAt: simulator?.getStatus().nextTickAt || null
+    });
+  } catch (error) {
+    console.error('❌ Error updating schedule:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Token usage and estimated cost, broken down by agent, role, phase and model.
+ * Add ?byTick=true for the per-tick breakdown.
+ */
+app.get('/api/simulation/:id/usage', requireRole(ROLES.VIEWER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const state = await db.collection('world_states').findOne(
+      { simulationId: id },
+      { projection: { budget: 1, status: 1, pausedReason: 1 } }
+    );
+
+    if (!state) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    const usage = await db.collection('usage').findOne({ simulationId: id }) || {};
+    const totals = await new UsageTracker(db, id).getTotals();
+    const budget = state.budget || null;
+
+    res.json({
+      simulationId: id,
+      status: state.status,
+      pausedReason: state.pausedReason || null,
+      totals,
+      byAgent: usage.byAgent || {},
+      byRole: usage.byRole || {},
+      byPhase: usage.byPhase || {},
+      byModel: usage.byModel || {},
+      ...(req.query.byTick === 'true' && { byTick: usage.byTick || {} }),
+      budget: budget && {
+        ...budget,
+        remainingCostUsd: budget.maxCostUsd != null ? Math.max(0, budget.maxCostUsd - totals.costUsd) : null,
+        remainingTokens: budget.maxTokens != null ? Math.max(0, budget.maxTokens - totals.totalTokens) : null,
+        exceeded: checkBudget(budget, totals)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching usage:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Set or clear the usage budget. Body: { maxCostUsd, maxTokens } or null
+ */
+app.put('/api/simulation/:id/budget', requireRole(ROLES.OWNER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const budget = req.body && Object.keys(req.body).length > 0 ? req.body : null;
+
+    const budgetError = validateBudget(budget);
+    if (budgetError) {
+      return res.status(400).json({ error: budgetError });
+    }
+
+    const normalized = budget && {
+      maxCostUsd: budget.maxCostUsd ?? null,
+      maxTokens: budget.maxTokens ?? null
+    };
+
+    const result = await db.collection('world_states').updateOne(
+      { simulationId: id },
+      { $set: { budget: normalized, updatedAt: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    res.json({ simulationId: id, budget: normalized });
+  } catch (error) {
+    console.error('❌ Error updating budget:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get simulation state, or the snapshot after a past tick with ?tick=N
+ */
+app.get('/api/simulation/:id/state', requireRole(ROLES.VIEWER), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (req.query.tick !== undefined) {
+      const tick = parseInt(req.query.tick);
+      if (Number.isNaN(tick)) {
+        return res.status(400).json({ error: 'tick must be an integer' });
+      }
+
+      const snapshot = await new WorldState(db, id).loadSnapshot(tick);
+      if (!snapshot) {
+        return res.status(404).json({ error: `No snapshot for tick ${tick}` });
+      }
+
+      return res.json(snapshot);
+    }
+
+    const state = await db.collection('world_states').findOne({ simulationId: id });
+
+    if (!state) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    res.json(state);
+  } catch (error) {
+    console.error('❌ Error fetching state:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Diff the world between two ticks: ?from=A&to=B
+ */
+app.get('/api/simulation/:id/diff', requireRole(ROLES.VIEWER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ error: 'from and to must be integer ticks' });
+    }
+
+    const worldStateManager = new WorldState(db, id);
+    const [before, after] = await Promise.all([
+      worldStateManager.loadSnapshot(from),
+      worldStateManager.loadSnapshot(to)
+    ]);
+
+    if (!before || !after) {
+      return res.status(404).json({ error: `No snapshot for tick ${!before ? from : to}` });
+    }
+
+    res.json({
+      simulationId: id,
+      ...worldStateManager.diffSnapshots(before, after)
+    });
+  } catch (error) {
+    console.error('❌ Error diffing ticks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Per-tick metrics and country stats.
+ * Query: fields, countries (comma-separated), fromTick, toTick, every or maxPoints, format=json|csv
+ */
+app.get('/api/simulation/:id/timeseries', requireRole(ROLES.VIEWER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const options = parseTimeseriesQuery(req.query);
+
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const tickRange = {};
+    if (options.fromTick !== null) tickRange.$gte = options.fromTick;
+    if (options.toTick !== null) tickRange.$lte = options.toTick;
+
+    const projection = { tick: 1, year: 1, 'countries.id': 1 };
+    for (const field of options.metrics) projection[`metrics.${field}`] = 1;
+    for (const stat of options.countryStats) projection[`countries.${stat}`] = 1;
+
+    const snapshots = await db.collection('world_snapshots')
+      .find({ simulationId: id, ...(Object.keys(tickRange).length > 0 && { tick: tickRange }) })
+      .project(projection)
+      .sort({ tick: 1 })
+      .toArray();
+
+    const { step, snapshots: sampled } = downsample(snapshots, options);
+    const points = sampled.map(snapshot => toTimeseriesPoint(snapshot, options));
+
+    if (options.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${id}-timeseries.csv"`);
+      return res.send(timeseriesToCsv(points, options));
+    }
+
+    res.json({
+      simulationId: id,
+      metrics: options.metrics,
+      countryStats: options.countryStats,
+      fromTick: points[0]?.tick ?? null,
+      toTick: points[points.length - 1]?.tick ?? null,
+      every: step,
+      points
+    });
+  } catch (error) {
+    console.error('❌ Error fetching timeseries:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Stream live tick progress over Server-Sent Events.
+ * Resume with ?fromTick=<last seen tick> or the Last-Event-ID header.
+ * EventSource cannot set headers, so pass ?access_token= or ?share= instead.
+ */
+app.get('/api/simulation/:id/stream', requireRole(ROLES.VIEWER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const state = await db.collection('world_states').findOne({ simulationId: id });
+
+    if (!state) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    const fromTick = req.query.fromTick !== undefined ? parseInt(req.query.fromTick) : null;
+    const unsubscribe = await openTickStream(id, {
+      afterTick: fromTick,
+      afterEventId: req.get('Last-Event-ID') || null
+    }, send);
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 30000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    console.error('❌ Error opening tick stream:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    } else {
+      res.end();
+    }
+  }
+});
+
+/**
+ * Get simulation logs
+ */
+app.get('/api/simulation/:id/logs', requireRole(ROLES.VIEWER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = parseInt(req.query.limit) || 100;
+    const eventType = req.query.type;
+
+    const query = { simulationId: id };
+    if (eventType) {
+      query.eventType = eventType;
+    }
+
+    const logs = await db.collection('event_logs')
+      .find(query)
+      .sort({ tick: -1 })
+      .limit(limit)
+      .toArray();
+
+    res.json({ simulationId: id, count: logs.length, logs });
+  } catch (error) {
+    console.error('❌ Error fetching logs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get simulation report
+ */
+app.get('/api/simulation/:id/report', requireRole(ROLES.VIEWER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const state = await db.collection('world_states').findOne({ simulationId: id });
+    if (!state) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    const logs = await db.collection('event_logs')
+      .find({ simulationId: id })
+      .sort({ tick: 1 })
+      .toArray();
+
+    const majorEvents = logs.filter(l => 
+      ['WAR', 'COLLAPSE', 'ALLIANCE', 'REBELLION', 'INNOVATION'].includes(l.eventType)
+    );
+
+    const survivors = state.countries.filter(c => c.stability > 20);
+    const dominant = survivors.reduce((prev, curr) => 
+      curr.power > prev.power ? curr : prev, 
+      survivors[0] || null
+    );
+
+    const report = {
+      simulationId: id,
+      worldName: state.worldName,
+      status: state.status,
+      lineage: state.lineage || null,
+      duration: {
+        startYear: state.startYear || 0,
+        years: state.year - (state.startYear || 0),
+        ticks: state.tick
+      },
+      finalState: {
+        stabilityIndex: state.metrics.stabilityIndex,
+        explanation: state.metrics.explanation,
+        survivors: survivors.length,
+        totalCountries: state.countries.length,
+        dominantPower: dominant?.name || 'None',
+        dominantIdeology: dominant?.ideology || 'None'
+      },
+      countries: state.countries.map(c => ({
+        name: c.name,
+        ideology: c.ideology,
+        survived: c.stability > 20,
+        finalPower: c.power,
+        finalStability: c.stability,
+        finalTechnology: c.technology
+      })),
+      majorEvents: majorEvents.slice(0, 20).map(e => ({
+        year: e.year,
+        type: e.eventType,
+        description: e.description || e.content
+      })),
+      philosophicalSummary: logs
+        .filter(l => l.philosophicalInsight)
+        .slice(-5)
+        .map(l => l.philosophicalInsight.moralAnalysis || l.philosophicalInsight.philosophicalQuestion)
+    };
+
+    res.json(report);
+  } catch (error) {
+    console.error('❌ Error generating report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Full chronicle of a simulation: timeline by era, nation arcs, wars and
+ * alliances, overseer predictions against outcomes and thinker reflections.
+ * Query: format=markdown|html (HTML embeds SVG metric charts), eraYears
+ */
+app.get('/api/simulation/:id/chronicle', requireRole(ROLES.VIEWER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'markdown' } = req.query;
+    const eraYears = req.query.eraYears !== undefined ? Number(req.query.eraYears) : null;
+
+    if (!CHRONICLE_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${CHRONICLE_FORMATS.join(', ')}` });
+    }
+    if (eraYears !== null && (!Number.isInteger(eraYears) || eraYears < 1)) {
+      return res.status(400).json({ error: 'eraYears must be a positive integer' });
+    }
+
+    const state = await db.collection('world_states').findOne({ simulationId: id });
+    if (!state) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    const [logs, snapshots] = await Promise.all([
+      db.collection('event_logs')
+        .find({ simulationId: id, eventType: 'TICK_SUMMARY' })
+        .sort({ tick: 1 })
+        .toArray(),
+      db.collection('world_snapshots')
+        .find({ simulationId: id })
+        .project({ tick: 1, year: 1, metrics: 1, countries: 1 })
+        .sort({ tick: 1 })
+        .toArray()
+    ]);
+
+    const chronicle = buildChronicle(state, logs, snapshots, { eraYears });
+
+    if (format === 'html') {
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      res.set('Content-Disposition', `inline; filename="${id}-chronicle.html"`);
+      return res.send(renderChronicleHtml(chronicle));
+    }
+
+    res.set('Content-Type', 'text/markdown; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${id}-chronicle.md"`);
+    res.send(renderChronicleMarkdown(chronicle));
+  } catch (error) {
+    console.error('❌ Error generating chronicle:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * History book: the chapters the historian agent has written, one per era
+ */
+app.get('/api/simulation/:id/chapters', requireRole(ROLES.VIEWER), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const state = await db.collection('world_states').findOne({ simulationId: id });
+    if (!state) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    const chapters = await db.collection('history_chapters')
+      .find({ simulationId: id })
+      .project({ _id: 0 })
+      .sort({ index: 1 })
+      .toArray();
+
+    res.json({
+      simulationId: id,
+      ...historianSettings(state),
+      count: chapters.length,
+      chapters
+    });
+  } catch (error) {
+    console.error('❌ Error fetching chapters:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * A single history chapter by index
+ */
+app.get('/api/simulation/:id/chapters/:index', requireRole(ROLES.VIEWER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const index = Number(req.params.index);
+
+    if (!Number.isInteger(index) || index < 0) {
+      return res.status(400).json({ error: 'Chapter index must be a non-negative integer' });
+    }
+
+    const chapter = await db.collection('history_chapters')
+      .findOne({ simulationId: id, index }, { projection: { _id: 0 } });
+
+    if (!chapter) {
+      return res.status(404).json({ error: `Chapter ${index} not found` });
+    }
+
+    res.json(chapter);
+  } catch (error) {
+    console.error('❌ Error fetching chapter:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Rewrite a chapter (or write one the historian skipped) from the same
+ * records. Body: { style } - a style prompt; defaults to the simulation's own
+ */
+app.post('/api/simulation/:id/chapters/:index/regenerate', requireRole(ROLES.OWNER), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const index = Number(req.params.index);
+    const { style } = req.body;
+
+    if (!Number.isInteger(index) || index < 0) {
+      return res.status(400).json({ error: 'Chapter index must be a non-negative integer' });
+    }
+
+    const styleError = validateStyle(style);
+    if (styleError) {
+      return res.status(400).json({ error: styleError });
+    }
+
+    const state = await db.collection('world_states').findOne({ simulationId: id });
+    const config = await db.collection('agent_configs').findOne({ simulationId: id });
+
+    if (!state || !config) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+
+    if (!config.agents.some(agent => agent.role === 'HISTORIAN')) {
+      return res.status(400).json({ error: 'Simulation has no historian agent' });
+    }
+    if (config.cassette?.mode === 'replay') {
+      return res.status(409).json({ error: 'Replays only play back recorded chapters' });
+    }
+
+    const settings = historianSettings(state);
+    const range = chapterRange(state, index, settings.intervalYears);
+
+    const recorded = await db.collection('event_logs').countDocuments({
+      simulationId: id,
+      eventType: 'TICK_SUMMARY',
+      year: { $gte: range.fromYear, $lte: range.toYear }
+    });
+    if (recorded === 0) {
+      return res.status(404).json({ error: `Nothing recorded in years ${range.fromYear}-${range.toYear}` });
+    }
+
+    const chapter = await getSimulator(id).historian
+      .writeChapter(state, range, style ?? settings.style, { rewrite: true });
+
+    if (!chapter) {
+      return res.status(502).json({ error: 'The historian could not write the chapter' });
+    }
+
+    console.log(`📜 Chapter ${index} of ${id} regenerated (version ${chapter.version})`);
+
+    res.json(chapter);
+  } catch (error) {
+    console.error('❌ Error regenerating chapter:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List all simulations
+ */
+app.get('/api/simulations', requireUser, async (req, res) => {
+  try {
+    const simulations = await db.collection('world_states')
+      .find(req.user.isAdmin ? {} : { ownerId: req.user.userId })
+      .project({
+        simulationId: 1,
+        ownerId: 1,
+        worldName: 1,
+        status: 1,
+        year: 1,
+        tick: 1,
+        'metrics.stabilityIndex': 1,
+        'schedule.nextTickAt': 1,
+        ensemble: 1,
+        createdAt: 1,
+        updatedAt: 1
+      })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .toArray();
+
+    res.json({ simulations });
   } catch (error) {
-    console.error('❌ Failed to connect to database:', error);
-    process.exit(1);
+    console.error('❌ Error listing simulations:', error);
+    res.status(500).json({ error: error.message });
   }
-})();
+});
 
 // =============================================================================
-// API ROUTES
+// ENSEMBLES
 // =============================================================================
 
-/**
- * Health check endpoint
- */
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'alive',
-    activeSimulations: activeSimulations.size,
-    timestamp: new Date().toISOString()
-  });
-});
+function ensembleQuery(user, ensembleId) {
+  return user.isAdmin ? { ensembleId } : { ensembleId, ownerId: user.userId };
+}
 
 /**
- * Create new simulation
+ * Launch an ensemble of seeded runs of one scenario.
+ * Body: { runs, name?, ...same options as /api/simulation/create }; run i gets seed + i.
  */
-app.post('/api/simulation/create', async (req, res) => {
+app.post('/api/ensembles', requireUser, async (req, res) => {
   try {
-    const { apiKeys, durationHours, tickIntervalMinutes } = req.body;
+    const { runs, name = null } = req.body;
 
-    // Validate input
-    if (!apiKeys || !apiKeys.overseer || !apiKeys.leaders || apiKeys.leaders.length === 0) {
-      return res.status(400).json({ error: 'Missing required API keys' });
+    if (!Number.isInteger(runs) || runs < 2 || runs > MAX_ENSEMBLE_RUNS) {
+      return res.status(400).json({ error: `runs must be an integer between 2 and ${MAX_ENSEMBLE_RUNS}` });
     }
 
-    const simulationId = `sim_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const request = await parseCreateRequest(req.body, req.user);
+    if (request.error) {
+      return res.status(request.status || 400).json({ error: request.error, details: request.details });
+    }
 
-    // Load world initialization data
-    const worldInitPath = join(__dirname, '../config/world-init.json');
-    const worldInit = JSON.parse(readFileSync(worldInitPath, 'utf-8'));
+    // Paid runs tick until stopped: each one needs an end or a spending cap
+    const paid = AGENT_ROLES.some(role =>
+      providerRequiresApiKey(request.providerFor(role)) && [request.apiKeys[role]].flat().some(Boolean)
+    );
+    if (paid && !request.budget && !request.timing.durationHours) {
+      return res.status(400).json({ error: 'Ensembles on paid providers need a budget or durationHours for their runs' });
+    }
 
-    // Initialize world state
-    await db.collection('world_states').insertOne({
-      simulationId,
-      tick: 0,
-      year: 0,
-      worldName: worldInit.worldName,
-      description: worldInit.description,
-      countries: worldInit.countries,
-      globalEvents: [],
-      metrics: {
-        stabilityIndex: 50,
-        explanation: 'Initial state',
-        ideologicalDiversity: 100,
-        conflictLevel: 35,
-        survivalRate: 100
-      },
-      status: 'RUNNING',
-      createdAt: new Date(),
-      updatedAt: new Date()
-    });
+    const ensembleId = generateId('ens');
+    const seeds = ensembleSeeds(request.seed, runs);
 
-    // Store agent configurations
-    const agents = [
-      { 
-        id: 'overseer', 
-        role: 'OVERSEER', 
-        apiKey: apiKeys.overseer,
-        countryId: null,
-        personality: 'Neutral observer',
-        memory: [],
-        decisionHistory: []
-      },
-      ...apiKeys.leaders.filter(key => key && key.trim()).map((key, idx) => ({
-        id: `leader_${idx}`,
-        role: 'LEADER',
-        apiKey: key,
-        countryId: worldInit.countries[idx]?.id,
-        personality: `Leader of ${worldInit.countries[idx]?.name}`,
-        memory: [],
-        decisionHistory: []
-      })),
-    ];
-
-    if (apiKeys.thinker) {
-      agents.push({
-        id: 'thinker',
-        role: 'THINKER',
-        apiKey: apiKeys.thinker,
-        countryId: null,
-        personality: 'Philosophical observer',
-        memory: [],
-        decisionHistory: []
-      });
-    }
+    // Recorded before any run starts so every run is reachable through it
+    const ensemble = {
+      ensembleId,
+      ownerId: req.user.userId,
+      name,
+      scenarioId: request.scenario.scenarioId,
+      worldName: request.scenario.worldName,
+      runs,
+      seeds,
+      simulationIds: [],
+      resolutionMode: request.resolutionMode,
+      schedule: null,
+      createdAt: new Date()
+    };
+    await db.collection('ensembles').insertOne(ensemble);
 
-    if (apiKeys.strategist) {
-      agents.push({
-        id: 'strategist',
-        role: 'STRATEGIST',
-        apiKey: apiKeys.strategist,
-        countryId: null,
-        personality: 'Military analyst',
-        memory: [],
-        decisionHistory: []
-      });
+    try {
+      for (const [index, seed] of seeds.entries()) {
+        const created = await createSimulation(req.user, request, seed, { ensemble: { ensembleId, index } });
+        ensemble.simulationIds.push(created.simulationId);
+        ensemble.schedule = created.schedule;
+
+        await db.collection('ensembles').updateOne(
+          { ensembleId },
+          { $push: { simulationIds: created.simulationId }, $set: { schedule: created.schedule } }
+        );
+      }
+    } catch (error) {
+      // Runs started before the failure must not keep ticking unattended
+      const started = await db.collection('world_states')
+        .find({ 'ensemble.ensembleId': ensembleId })
+        .project({ simulationId: 1 })
+        .toArray();
+
+      for (const { simulationId } of started) {
+        activeSimulations.get(simulationId)?.pause();
+        armAutoStop(simulationId, null);
+      }
+      await db.collection('world_states').updateMany(
+        { 'ensemble.ensembleId': ensembleId },
+        { $set: { status: 'FAILED', error: `Ensemble creation failed: ${error.message}`, updatedAt: new Date() } }
+      );
+      await db.collection('ensembles').updateOne({ ensembleId }, { $set: { error: error.message } });
+
+      throw error;
     }
 
-    await db.collection('agent_configs').insertOne({
-      simulationId,
-      agents
-    });
+    console.log(`🎲 Ensemble created: ${ensembleId} (${runs} runs of ${ensemble.worldName})`);
+
+    const { _id, ...visible } = ensemble;
+    res.status(201).json(visible);
+  } catch (error) {
+    console.error('❌ Error creating ensemble:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Create simulator
-    const simulator = new WorldSimulator(simulationId, db);
-    activeSimulations.set(simulationId, simulator);
+/**
+ * List ensembles
+ */
+app.get('/api/ensembles', requireUser, async (req, res) => {
+  try {
+    const ensembles = await db.collection('ensembles')
+      .find(req.user.isAdmin ? {} : { ownerId: req.user.userId })
+      .project({ _id: 0, ensembleId: 1, ownerId: 1, name: 1, worldName: 1, runs: 1, createdAt: 1 })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .toArray();
 
-    // Start simulation
-    const intervalMs = (tickIntervalMinutes || 5) * 60 * 1000;
-    await simulator.start(intervalMs);
+    res.json({ ensembles });
+  } catch (error) {
+    console.error('❌ Error listing ensembles:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Schedule auto-stop
-    if (durationHours) {
-      setTimeout(async () => {
-        const sim = activeSimulations.get(simulationId);
-        if (sim) {
-          await sim.complete('DURATION_LIMIT');
-        }
-      }, durationHours * 60 * 60 * 1000);
+/**
+ * Ensemble with the progress of each run
+ */
+app.get('/api/ensembles/:ensembleId', requireUser, async (req, res) => {
+  try {
+    const ensemble = await db.collection('ensembles').findOne(ensembleQuery(req.user, req.params.ensembleId));
+    if (!ensemble) {
+      return res.status(404).json({ error: 'Ensemble not found' });
     }
 
-    console.log(`✅ Simulation created: ${simulationId}`);
-    console.log(`   Duration: ${durationHours || 'unlimited'} hours`);
-    console.log(`   Tick interval: ${tickIntervalMinutes || 5} minutes`);
+    const members = await db.collection('world_states')
+      .find({ 'ensemble.ensembleId': ensemble.ensembleId })
+      .project({ simulationId: 1, ensemble: 1, seed: 1, status: 1, completionReason: 1, tick: 1, year: 1, 'metrics.stabilityIndex': 1 })
+      .toArray();
 
+    const { _id, ...visible } = ensemble;
     res.json({
-      simulationId,
-      status: 'STARTED',
-      worldName: worldInit.worldName,
-      countries: worldInit.countries.length,
-      tickIntervalMinutes: tickIntervalMinutes || 5,
-      durationHours: durationHours || null
+      ...visible,
+      members: members
+        .sort((a, b) => a.ensemble.index - b.ensemble.index)
+        .map(m => ({
+          index: m.ensemble.index,
+          simulationId: m.simulationId,
+          seed: m.seed,
+          status: m.status,
+          completionReason: m.completionReason || null,
+          tick: m.tick,
+          year: m.year,
+          stabilityIndex: m.metrics?.stabilityIndex ?? null
+        }))
     });
-
   } catch (error) {
-    console.error('❌ Error creating simulation:', error);
+    console.error('❌ Error fetching ensemble:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Pause simulation
+ * Aggregated outcomes: termination reasons, survival, dominant ideology,
+ * time to first war and the stability index distribution per tick
  */
-app.post('/api/simulation/:id/pause', async (req, res) => {
+app.get('/api/ensembles/:ensembleId/report', requireUser, async (req, res) => {
   try {
-    const { id } = req.params;
-    const simulator = activeSimulations.get(id);
-
-    if (!simulator) {
-      return res.status(404).json({ error: 'Simulation not found' });
+    const ensemble = await db.collection('ensembles').findOne(ensembleQuery(req.user, req.params.ensembleId));
+    if (!ensemble) {
+      return res.status(404).json({ error: 'Ensemble not found' });
     }
 
-    simulator.pause();
+    const states = await db.collection('world_states')
+      .find({ 'ensemble.ensembleId': ensemble.ensembleId })
+      .toArray();
 
-    await db.collection('world_states').updateOne(
-      { simulationId: id },
-      { $set: { status: 'PAUSED', updatedAt: new Date() } }
-    );
+    const snapshots = await db.collection('world_snapshots')
+      .find({ simulationId: { $in: ensemble.simulationIds } })
+      .project({ simulationId: 1, tick: 1, 'metrics.stabilityIndex': 1 })
+      .toArray();
 
-    res.json({ simulationId: id, status: 'PAUSED' });
+    res.json(buildEnsembleReport(ensemble, states, snapshots));
   } catch (error) {
-    console.error('❌ Error pausing simulation:', error);
+    console.error('❌ Error generating ensemble report:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// =============================================================================
+// SCENARIO LIBRARY
+// =============================================================================
+
+const SCENARIO_FIELDS = [
+  'name', 'worldName', 'description', 'startYear', 'countries',
+  'initialTensions', 'simulationGoals', 'globalMetrics'
+];
+
+function pickScenarioFields(body) {
+  const scenario = {};
+  for (const field of SCENARIO_FIELDS) {
+    if (body[field] !== undefined) scenario[field] = body[field];
+  }
+  return scenario;
+}
+
 /**
- * Resume simulation
+ * Create scenario
  */
-app.post('/api/simulation/:id/resume', async (req, res) => {
+app.post('/api/scenarios', requireUser, async (req, res) => {
   try {
-    const { id } = req.params;
-    let simulator = activeSimulations.get(id);
+    const scenario = pickScenarioFields(req.body);
+    const errors = validateScenario(scenario);
 
-    // If simulator doesn't exist in memory, recreate it
-    if (!simulator) {
-      const worldState = await db.collection('world_states').findOne({ simulationId: id });
-      
-      if (!worldState) {
-        return res.status(404).json({ error: 'Simulation not found' });
-      }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scenario', details: errors });
+    }
 
-      simulator = new WorldSimulator(id, db);
-      activeSimulations.set(id, simulator);
+    const scenarioId = req.body.scenarioId || generateId('scn');
+    if (typeof scenarioId !== 'string' || !/^[A-Za-z0-9_-]+$/.test(scenarioId)) {
+      return res.status(400).json({ error: 'scenarioId may only contain letters, digits, - and _' });
     }
 
-    await db.collection('world_states').updateOne(
-      { simulationId: id },
-      { $set: { status: 'RUNNING', updatedAt: new Date() } }
-    );
+    // Ids only need to be unique among the caller's own scenarios
+    const existing = await db.collection('scenarios').findOne({ scenarioId, ownerId: req.user.userId });
+    if (existing) {
+      return res.status(409).json({ error: `Scenario already exists: ${scenarioId}` });
+    }
 
-    await simulator.start();
+    const document = {
+      scenarioId,
+      ownerId: req.user.userId,
+      ...scenario,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    await db.collection('scenarios').insertOne(document);
 
-    res.json({ simulationId: id, status: 'RUNNING' });
+    res.status(201).json(document);
   } catch (error) {
-    console.error('❌ Error resuming simulation:', error);
+    console.error('❌ Error creating scenario:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Get simulation state
+ * List scenarios
  */
-app.get('/api/simulation/:id/state', async (req, res) => {
+app.get('/api/scenarios', requireUser, async (req, res) => {
   try {
-    const { id } = req.params;
-    const state = await db.collection('world_states').findOne({ simulationId: id });
-
-    if (!state) {
-      return res.status(404).json({ error: 'Simulation not found' });
-    }
+    const scenarios = await db.collection('scenarios')
+      .find(req.user.isAdmin ? {} : { ownerId: req.user.userId })
+      .project({
+        scenarioId: 1,
+        ownerId: 1,
+        name: 1,
+        worldName: 1,
+        description: 1,
+        startYear: 1,
+        'countries.id': 1,
+        'countries.name': 1,
+        createdAt: 1,
+        updatedAt: 1
+      })
+      .sort({ createdAt: -1 })
+      .limit(parseInt(req.query.limit) || 50)
+      .toArray();
 
-    res.json(state);
+    res.json({ scenarios });
   } catch (error) {
-    console.error('❌ Error fetching state:', error);
+    console.error('❌ Error listing scenarios:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Get simulation logs
+ * Get scenario (admins: ?ownerId= for another owner's)
  */
-app.get('/api/simulation/:id/logs', async (req, res) => {
+app.get('/api/scenarios/:scenarioId', requireUser, async (req, res) => {
   try {
-    const { id } = req.params;
-    const limit = parseInt(req.query.limit) || 100;
-    const eventType = req.query.type;
+    const scenario = await db.collection('scenarios').findOne(scenarioQuery(req.user, req.params.scenarioId, req.query.ownerId));
 
-    const query = { simulationId: id };
-    if (eventType) {
-      query.eventType = eventType;
+    if (!scenario) {
+      return res.status(404).json({ error: 'Scenario not found' });
     }
 
-    const logs = await db.collection('event_logs')
-      .find(query)
-      .sort({ tick: -1 })
-      .limit(limit)
-      .toArray();
-
-    res.json({ simulationId: id, count: logs.length, logs });
+    res.json(scenario);
   } catch (error) {
-    console.error('❌ Error fetching logs:', error);
+    console.error('❌ Error fetching scenario:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Get simulation report
+ * Replace scenario (admins: ?ownerId= for another owner's)
  */
-app.get('/api/simulation/:id/report', async (req, res) => {
+app.put('/api/scenarios/:scenarioId', requireUser, async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const state = await db.collection('world_states').findOne({ simulationId: id });
-    if (!state) {
-      return res.status(404).json({ error: 'Simulation not found' });
-    }
+    const { scenarioId } = req.params;
+    const existing = await db.collection('scenarios').findOne(scenarioQuery(req.user, scenarioId, req.query.ownerId));
 
-    const logs = await db.collection('event_logs')
-      .find({ simulationId: id })
-      .sort({ tick: 1 })
-      .toArray();
+    if (!existing) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
 
-    const majorEvents = logs.filter(l => 
-      ['WAR', 'COLLAPSE', 'ALLIANCE', 'REBELLION', 'INNOVATION'].includes(l.eventType)
-    );
+    const scenario = pickScenarioFields(req.body);
+    const errors = validateScenario(scenario);
 
-    const survivors = state.countries.filter(c => c.stability > 20);
-    const dominant = survivors.reduce((prev, curr) => 
-      curr.power > prev.power ? curr : prev, 
-      survivors[0] || null
-    );
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scenario', details: errors });
+    }
 
-    const report = {
-      simulationId: id,
-      worldName: state.worldName,
-      status: state.status,
-      duration: {
-        years: state.year,
-        ticks: state.tick
-      },
-      finalState: {
-        stabilityIndex: state.metrics.stabilityIndex,
-        explanation: state.metrics.explanation,
-        survivors: survivors.length,
-        totalCountries: state.countries.length,
-        dominantPower: dominant?.name || 'None',
-        dominantIdeology: dominant?.ideology || 'None'
-      },
-      countries: state.countries.map(c => ({
-        name: c.name,
-        ideology: c.ideology,
-        survived: c.stability > 20,
-        finalPower: c.power,
-        finalStability: c.stability,
-        finalTechnology: c.technology
-      })),
-      majorEvents: majorEvents.slice(0, 20).map(e => ({
-        year: e.year,
-        type: e.eventType,
-        description: e.description || e.content
-      })),
-      philosophicalSummary: logs
-        .filter(l => l.philosophicalInsight)
-        .slice(-5)
-        .map(l => l.philosophicalInsight.moralAnalysis || l.philosophicalInsight.philosophicalQuestion)
+    const document = {
+      scenarioId,
+      ownerId: existing.ownerId,
+      ...scenario,
+      createdAt: existing.createdAt,
+      updatedAt: new Date()
     };
+    await db.collection('scenarios').replaceOne({ scenarioId, ownerId: existing.ownerId }, document);
 
-    res.json(report);
+    res.json(document);
   } catch (error) {
-    console.error('❌ Error generating report:', error);
+    console.error('❌ Error updating scenario:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * List all simulations
+ * Delete scenario (admins: ?ownerId= for another owner's)
  */
-app.get('/api/simulations', async (req, res) => {
+app.delete('/api/scenarios/:scenarioId', requireUser, async (req, res) => {
   try {
-    const simulations = await db.collection('world_states')
-      .find({})
-      .project({
-        simulationId: 1,
-        worldName: 1,
-        status: 1,
-        year: 1,
-        tick: 1,
-        'metrics.stabilityIndex': 1,
-        createdAt: 1,
-        updatedAt: 1
-      })
-      .sort({ createdAt: -1 })
-      .limit(50)
-      .toArray();
+    const result = await db.collection('scenarios').deleteOne(scenarioQuery(req.user, req.params.scenarioId, req.query.ownerId));
 
-    res.json({ simulations });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Scenario not found' });
+    }
+
+    res.json({ scenarioId: req.params.scenarioId, deleted: true });
   } catch (error) {
-    console.error('❌ Error listing simulations:', error);
+    console.error('❌ Error deleting scenario:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -394,7 +2155,7 @@ app.use((err, req, res, next) => {
 // SERVER START
 // =============================================================================
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`\n${'═'.repeat(80)}`);
   console.log(`🚀 World Simulation Backend Server`);
   console.log(`${'═'.repeat(80)}`);
@@ -404,15 +2165,86 @@ app.listen(PORT, () => {
   console.log(`${'═'.repeat(80)}\n`);
 });
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('\n⏹️ SIGTERM received, shutting down gracefully...');
-  
-  // Pause all active simulations
-  for (const [id, sim] of activeSimulations.entries()) {
-    console.log(`⏸️ Pausing simulation ${id}`);
-    sim.pause();
+// WebSocket tick streaming: ws://host/api/simulation/:id/ws?fromTick=N&access_token=T (or &share=S)
+const wss = new WebSocketServer({ noServer: true });
+
+server.on('upgrade', (req, socket, head) => {
+  // A malformed path or Host header must not take the server down
+  let url;
+  let simulationId;
+  try {
+    url = new URL(req.url, `http://${req.headers.host}`);
+    const match = url.pathname.match(/^\/api\/simulation\/([^/]+)\/ws$/);
+
+    if (!match) {
+      socket.destroy();
+      return;
+    }
+
+    simulationId = decodeURIComponent(match[1]);
+  } catch (error) {
+    socket.write('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    socket.destroy();
+    return;
   }
-  
-  process.exit(0);
+
+  wss.handleUpgrade(req, socket, head, async (ws) => {
+    const fromTick = url.searchParams.get('fromTick');
+
+    try {
+      const { token, shareToken } = readCredentials(req.headers, Object.fromEntries(url.searchParams));
+      const user = await authenticateToken(db, token);
+      const access = await resolveAccess(db, { user, shareToken }, simulationId);
+
+      if (!access) {
+        ws.close(1008, 'Not authorized');
+        return;
+      }
+
+      const unsubscribe = await openTickStream(simulationId, {
+        afterTick: fromTick !== null ? parseInt(fromTick) : null,
+        afterEventId: url.searchParams.get('lastEventId')
+      }, (event) => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+      });
+
+      // The client may have disconnected while the backlog was loading
+      if (ws.readyState !== ws.OPEN) {
+        unsubscribe();
+        return;
+      }
+      ws.on('close', unsubscribe);
+    } catch (error) {
+      console.error('❌ Error opening WebSocket tick stream:', error);
+      ws.close(1011, 'Stream unavailable');
+    }
+  });
 });
+
+// Graceful shutdown: finish ticks in flight and record running simulations
+// as PAUSED by SHUTDOWN, so the next boot picks them up again
+async function shutdown(signal) {
+  console.log(`\n⏹️ ${signal} received, shutting down gracefully...`);
+  server.close();
+
+  for (const timer of autoStopTimers.values()) {
+    clearTimeout(timer);
+  }
+
+  await Promise.all([...activeSimulations.entries()]
+    .filter(([, sim]) => sim.isRunning)
+    .map(async ([id, sim]) => {
+      console.log(`⏸️ Pausing simulation ${id}`);
+      try {
+        await sim.shutdown();
+      } catch (error) {
+        console.error(`❌ Failed to pause simulation ${id}:`, error.message);
+      }
+    }));
+
+  await closeDB();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,132 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { generateId } from './random.js';
+
+/**
+ * Token authentication and simulation access control.
+ *
+ * Users authenticate with `Authorization: Bearer <token>`; the ADMIN_TOKEN
+ * environment variable is an admin token that can create users and reach
+ * every simulation. Tokens are stored only as SHA-256 hashes.
+ *
+ * A simulation's owner has full control. Share links grant VIEWER (read-only)
+ * access to one simulation through `X-Share-Token: <token>` or `?share=`.
+ * EventSource and WebSocket clients, which cannot set headers, may pass the
+ * bearer token as `?access_token=`.
+ */
+export const ROLES = {
+  OWNER: 'OWNER',
+  VIEWER: 'VIEWER'
+};
+
+export function generateToken(prefix) {
+  return `${prefix}_${randomBytes(24).toString('base64url')}`;
+}
+
+export function hashToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+function tokensMatch(a, b) {
+  const left = Buffer.from(hashToken(a));
+  const right = Buffer.from(hashToken(b));
+  return timingSafeEqual(left, right);
+}
+
+/**
+ * Bearer and share tokens of a request (headers first, then query parameters)
+ */
+export function readCredentials(headers = {}, query = {}) {
+  const authorization = headers.authorization || '';
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+
+  return {
+    token: bearer ? bearer[1] : query.access_token || null,
+    shareToken: headers['x-share-token'] || query.share || null
+  };
+}
+
+/**
+ * The user a bearer token belongs to, or null
+ */
+export async function authenticateToken(db, token) {
+  if (!token) return null;
+
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (adminToken && tokensMatch(token, adminToken)) {
+    return { userId: 'admin', name: 'admin', isAdmin: true };
+  }
+
+  const user = await db.collection('users').findOne({ tokenHash: hashToken(token) });
+  return user ? { userId: user.userId, name: user.name, isAdmin: false } : null;
+}
+
+/**
+ * Creates a user. The token is returned once and only its hash is stored.
+ */
+export async function createUser(db, name) {
+  const token = generateToken('wsu');
+  const user = {
+    userId: generateId('usr'),
+    name,
+    tokenHash: hashToken(token),
+    createdAt: new Date()
+  };
+
+  await db.collection('users').insertOne(user);
+
+  return { userId: user.userId, name, token, createdAt: user.createdAt };
+}
+
+/**
+ * Creates a read-only share link for a simulation
+ */
+export async function createShare(db, simulationId, createdBy, { label = null, expiresInHours = null } = {}) {
+  const token = generateToken('wss');
+  const share = {
+    shareId: generateId('shr'),
+    simulationId,
+    role: ROLES.VIEWER,
+    label,
+    tokenHash: hashToken(token),
+    createdBy,
+    createdAt: new Date(),
+    expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 3600000) : null,
+    revokedAt: null
+  };
+
+  await db.collection('shares').insertOne(share);
+
+  const { _id, tokenHash, ...visible } = share;
+  return { ...visible, token };
+}
+
+/**
+ * Caller's access to a simulation: { role, ownerId }, or null when the caller
+ * may not see it. Owners and admins get OWNER; a live share token gets VIEWER.
+ */
+export async function resolveAccess(db, { user, shareToken }, simulationId) {
+  const state = await db.collection('world_states').findOne(
+    { simulationId },
+    { projection: { ownerId: 1 } }
+  );
+
+  if (!state) return null;
+
+  if (user && (user.isAdmin || state.ownerId === user.userId)) {
+    return { role: ROLES.OWNER, ownerId: state.ownerId };
+  }
+
+  if (shareToken) {
+    const share = await db.collection('shares').findOne({
+      simulationId,
+      tokenHash: hashToken(shareToken),
+      revokedAt: null
+    });
+
+    if (share && (!share.expiresAt || share.expiresAt > new Date())) {
+      return { role: ROLES.VIEWER, ownerId: state.ownerId };
+    }
+  }
+
+  return null;
+}
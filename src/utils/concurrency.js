@@ -0,0 +1,28 @@
+/**
+ * Bounded concurrency helpers for agent calls.
+ *
+ * The default cap can be set with AGENT_CONCURRENCY; simulations may override
+ * it through their agent configuration.
+ */
+export const DEFAULT_CONCURRENCY = Number(process.env.AGENT_CONCURRENCY) || 4;
+
+/**
+ * Runs worker over items with at most `limit` in flight. Results keep the
+ * order of `items` regardless of completion order.
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, run);
+  await Promise.all(workers);
+
+  return results;
+}
@@ -43,6 +43,8 @@ export class Logger {
         overseerInsights,
         philosophicalInsight,
         stabilityIndex: overseerInsights?.stabilityIndex || 50,
+        worldStateBefore,
+        worldStateAfter,
         survingCountries: worldStateAfter.countries.filter(c => c.stability > 20).length,
         totalCountries: worldStateAfter.countries.length
       };
@@ -59,25 +61,26 @@ export class Logger {
     }
   }
 
-  async logSimulationStart() {
-    await this.logEvent(0, 0, {
+  async logSimulationStart(worldState) {
+    await this.logEvent(worldState.tick, worldState.year, {
       eventType: 'SIMULATION_START',
       description: 'World simulation has begun',
-      content: 'The world of Terra Novus awakens. Nations prepare their strategies.'
+      content: `The world of ${worldState.worldName} awakens. Nations prepare their strategies.`
     });
   }
 
   async logSimulationEnd(finalState, reason) {
     const survivors = finalState.countries.filter(c => c.stability > 20);
+    const elapsedYears = finalState.year - (finalState.startYear || 0);
     
     await this.logEvent(finalState.tick, finalState.year, {
       eventType: 'SIMULATION_END',
       description: `Simulation ended: ${reason}`,
-      content: `After ${finalState.year} years, the simulation concludes. Surviving nations: ${survivors.map(c => c.name).join(', ')}`,
+      content: `After ${elapsedYears} years, the simulation concludes. Surviving nations: ${survivors.map(c => c.name).join(', ')}`,
       finalState: {
         stabilityIndex: finalState.metrics?.stabilityIndex,
         survivors: survivors.length,
-        totalYears: finalState.year,
+        totalYears: elapsedYears,
         dominantIdeology: survivors.length > 0 
           ? survivors.reduce((prev, curr) => curr.power > prev.power ? curr : prev).ideology
           : 'None - Total Collapse'
@@ -117,4 +120,23 @@ export class Logger {
       return [];
     }
   }
+
+  /**
+   * Tick summaries (events, overseer and thinker output) for a range of years, oldest first
+   */
+  async getTickSummariesForYears(fromYear, toYear) {
+    try {
+      return await this.db.collection('event_logs')
+        .find({
+          simulationId: this.simulationId,
+          eventType: 'TICK_SUMMARY',
+          year: { $gte: fromYear, $lte: toYear }
+        })
+        .sort({ tick: 1 })
+        .toArray();
+    } catch (error) {
+      console.error('❌ Failed to retrieve tick summaries:', error.message);
+      return [];
+    }
+  }
 }
@@ -0,0 +1,58 @@
+import { randomInt } from 'crypto';
+
+/**
+ * Seeded pseudo-random number generation for reproducible simulations
+ */
+
+/**
+ * Hashes a string into a 32-bit unsigned integer (FNV-1a)
+ */
+export function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Creates a seeded RNG (mulberry32). Seeds may be numbers or strings.
+ */
+export function createRng(seed) {
+  let state = hashString(String(seed));
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (max) => Math.floor(next() * max),
+    chance: (probability) => next() < probability,
+    pick: (items) => items[Math.floor(next() * items.length)]
+  };
+}
+
+/**
+ * Derives the RNG for a single tick, so any tick can be replayed in isolation
+ */
+export function createTickRng(worldState) {
+  return createRng(`${worldState.seed ?? worldState.simulationId}:${worldState.tick}`);
+}
+
+export function generateSeed() {
+  return randomInt(0, 2 ** 31);
+}
+
+export function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${randomInt(0, 36 ** 9).toString(36).padStart(9, '0')}`;
+}
+
+export function generateSimulationId() {
+  return generateId('sim');
+}
@@ -0,0 +1,80 @@
+import { createHash } from 'crypto';
+
+/**
+ * Token-bucket rate limiting for LLM API keys.
+ *
+ * Every API key gets one shared bucket, so agents that share a key also share
+ * its request budget. Callers wait for a token instead of firing and backing
+ * off blindly; a provider-side 429 empties the bucket until the retry delay
+ * has passed.
+ *
+ * Defaults can be tuned with LLM_REQUESTS_PER_MINUTE and LLM_BURST.
+ */
+const DEFAULT_REQUESTS_PER_MINUTE = Number(process.env.LLM_REQUESTS_PER_MINUTE) || 10;
+const DEFAULT_BURST = Number(process.env.LLM_BURST) || DEFAULT_REQUESTS_PER_MINUTE;
+
+export class TokenBucket {
+  constructor({ requestsPerMinute = DEFAULT_REQUESTS_PER_MINUTE, burst = DEFAULT_BURST } = {}) {
+    this.capacity = burst;
+    this.tokens = burst;
+    this.refillPerMs = requestsPerMinute / 60000;
+    this.lastRefill = Date.now();
+    this.blockedUntil = 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Resolves once a request may be sent, consuming one token
+   */
+  async acquire() {
+    for (;;) {
+      const now = Date.now();
+
+      if (now >= this.blockedUntil) {
+        this.refill();
+        if (this.tokens >= 1) {
+          this.tokens -= 1;
+          return;
+        }
+      }
+
+      const waitMs = Math.max(
+        this.blockedUntil - now,
+        Math.ceil((1 - this.tokens) / this.refillPerMs),
+        1
+      );
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  /**
+   * The provider rejected a request for rate limiting: stop sending until the
+   * retry delay has passed (or one token's worth of time when none is given)
+   */
+  penalize(retryAfterMs = null) {
+    this.refill();
+    this.tokens = 0;
+    this.blockedUntil = Date.now() + (retryAfterMs ?? Math.ceil(1 / this.refillPerMs));
+  }
+}
+
+const buckets = new Map();
+
+/**
+ * Shared bucket for an API key. Keys are identified by their SHA-256 digest,
+ * so the registry never holds them and distinct keys never share a bucket.
+ */
+export function getRateLimiter(apiKey, options = {}) {
+  const id = createHash('sha256').update(String(apiKey)).digest('hex');
+
+  if (!buckets.has(id)) {
+    buckets.set(id, new TokenBucket(options));
+  }
+
+  return buckets.get(id);
+}
@@ -1,71 +1,236 @@
 import cron from 'node-cron';
+// node-cron 3 can fire on a pattern but not say when it next matches; its
+// matcher (which handles ranges, steps and names) is reused for that
+import TimeMatcher from 'node-cron/src/time-matcher.js';
 
-export class SimulationScheduler {
-  constructor() {
-    this.jobs = new Map();
+/**
+ * Tick scheduling for simulations.
+ *
+ * A schedule is either a fixed interval `{ tickIntervalMinutes }` (any
+ * positive number, e.g. 90) or a five-field cron expression `{ cron, timezone }`.
+ * Each simulation runs on a self-rearming timer: the next tick is only armed
+ * once the current one has finished, and a new job waits for a tick still in
+ * flight from an old one, so a simulation never runs two ticks at once.
+ * Interval schedules stay on their original cadence; a slow tick skips the
+ * slots it overran instead of firing catch-up ticks back to back.
+ */
+
+// setTimeout overflows past ~24.8 days, so longer waits are re-armed in steps
+export const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const MINUTE_MS = 60 * 1000;
+// Ten years; keeps the absolute end time a valid Date
+export const MAX_DURATION_HOURS = 10 * 366 * 24;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// Every date falls on every weekday, leap days included, within 28 years
+const CRON_SEARCH_DAYS = 28 * 366;
+
+/**
+ * Allowed values of each field of a parsed expression: [minutes, hours, days, months, weekdays]
+ */
+function cronFields(matcher) {
+  return matcher.expressions.slice(1).map(field => new Set(field.split(',').map(Number)));
+}
+
+/**
+ * Whether some calendar date satisfies the expression's day, month and
+ * weekday fields together (e.g. not `0 0 31 2 *`, the 31st of February)
+ */
+function cronCanMatch(expression) {
+  const [, , days, months, weekdays] = cronFields(new TimeMatcher(expression));
+  const date = new Date(Date.UTC(new Date().getUTCFullYear(), 0, 1));
+
+  for (let i = 0; i < CRON_SEARCH_DAYS; i++) {
+    if (days.has(date.getUTCDate()) && months.has(date.getUTCMonth() + 1) && weekdays.has(date.getUTCDay())) {
+      return true;
+    }
+    date.setTime(date.getTime() + DAY_MS);
   }
 
-  scheduleSimulation(simulationId, simulator, tickIntervalMinutes = 5) {
-    // Create cron expression for the interval
-    // For intervals less than 60 minutes, use minute-based scheduling
-    const cronExpression = tickIntervalMinutes < 60
-      ? `*/${tickIntervalMinutes} * * * *`  // Every N minutes
-      : '0 * * * *';  // Every hour if 60+ minutes
+  return false;
+}
+
+/**
+ * Returns an error message for an invalid schedule, or null
+ */
+export function validateSchedule({ tickIntervalMinutes, cron: expression, timezone, durationHours } = {}) {
+  if (tickIntervalMinutes != null && expression != null) {
+    return 'Provide either tickIntervalMinutes or cron, not both';
+  }
 
-    console.log(`📅 Scheduling simulation ${simulationId} with interval: ${tickIntervalMinutes} minutes`);
-    console.log(`📅 Cron expression: ${cronExpression}`);
+  if (durationHours != null && (typeof durationHours !== 'number' || !Number.isFinite(durationHours) ||
+      durationHours <= 0 || durationHours > MAX_DURATION_HOURS)) {
+    return `durationHours must be a positive number of at most ${MAX_DURATION_HOURS}`;
+  }
 
-    const job = cron.schedule(cronExpression, async () => {
+  if (expression != null) {
+    if (typeof expression !== 'string' || expression.trim().split(/\s+/).length !== 5 || !cron.validate(expression)) {
+      return 'cron must be a valid five-field cron expression';
+    }
+    if (!cronCanMatch(expression)) {
+      return `cron "${expression}" never matches a date`;
+    }
+    if (timezone != null) {
       try {
-        await simulator.executeTick();
-      } catch (error) {
-        console.error(`❌ Scheduled tick execution failed for ${simulationId}:`, error.message);
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch {
+        return `Unknown timezone: ${timezone}`;
       }
-    }, {
-      scheduled: false // Don't start immediately
-    });
+    }
+    return null;
+  }
+
+  if (tickIntervalMinutes != null && (typeof tickIntervalMinutes !== 'number' || !(tickIntervalMinutes > 0))) {
+    return 'tickIntervalMinutes must be a positive number';
+  }
+
+  return null;
+}
+
+export function describeSchedule(schedule) {
+  return schedule.cron
+    ? `cron "${schedule.cron}"${schedule.timezone ? ` (${schedule.timezone})` : ''}`
+    : `every ${schedule.tickIntervalMinutes} minutes`;
+}
+
+/**
+ * First cron match strictly after `from` (minute resolution), or null if none
+ * within the search window. Days and hours that cannot match are skipped.
+ */
+function nextCronMatch(expression, timezone, from) {
+  const matcher = new TimeMatcher(expression, timezone);
+  const [minutes, hours, days, months, weekdays] = cronFields(matcher);
+  const candidate = new Date(Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const end = candidate.getTime() + CRON_SEARCH_DAYS * DAY_MS;
+
+  while (candidate.getTime() < end) {
+    // Calendar fields in the schedule's timezone
+    const local = matcher.apply(candidate);
+    const toNextHour = 60 - local.getMinutes();
+
+    let skipMinutes;
+    if (!days.has(local.getDate()) || !months.has(local.getMonth() + 1) || !weekdays.has(local.getDay())) {
+      // Stop an hour short of midnight so a 23-hour DST day cannot skip past it
+      skipMinutes = Math.max(toNextHour, (22 - local.getHours()) * 60 + toNextHour);
+    } else if (!hours.has(local.getHours())) {
+      skipMinutes = toNextHour;
+    } else if (!minutes.has(local.getMinutes())) {
+      skipMinutes = 1;
+    } else {
+      return candidate;
+    }
+
+    candidate.setTime(candidate.getTime() + skipMinutes * MINUTE_MS);
+  }
+
+  return null;
+}
 
+/**
+ * When the tick after one scheduled for `previous` should run, given the time now
+ */
+export function nextRunAfter(schedule, previous, now = new Date()) {
+  if (schedule.cron) {
+    return nextCronMatch(schedule.cron, schedule.timezone, now);
+  }
+
+  const intervalMs = schedule.tickIntervalMinutes * MINUTE_MS;
+  const overrun = Math.max(0, now.getTime() - previous.getTime());
+  const slots = Math.max(1, Math.ceil(overrun / intervalMs));
+
+  return new Date(previous.getTime() + slots * intervalMs);
+}
+
+export class SimulationScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Starts (or replaces) a simulation's job. `onTick` is awaited before the
+   * next run is armed; `onScheduled(date)` is told about every armed run.
+   * Interval jobs run first at `firstRunAt` (default now), cron jobs at their
+   * next match.
+   */
+  start(simulationId, schedule, onTick, { firstRunAt = null, onScheduled = null } = {}) {
+    this.stop(simulationId);
+
+    const job = { simulationId, schedule, onTick, onScheduled, timer: null, nextRunAt: null };
     this.jobs.set(simulationId, job);
+
+    const now = new Date();
+    const first = firstRunAt || (schedule.cron ? nextRunAfter(schedule, now, now) : now);
+    this.arm(job, first);
+
     return job;
   }
 
-  startSimulation(simulationId) {
-    const job = this.jobs.get(simulationId);
-    if (job) {
-      job.start();
-      console.log(`▶️ Started simulation ${simulationId}`);
-      return true;
+  arm(job, runAt) {
+    if (this.jobs.get(job.simulationId) !== job) return;
+
+    job.nextRunAt = runAt;
+    if (!runAt) {
+      console.warn(`⚠️ Schedule for ${job.simulationId} has no upcoming run`);
+      return;
     }
-    console.warn(`⚠️ No scheduled job found for simulation ${simulationId}`);
-    return false;
+
+    job.onScheduled?.(runAt);
+
+    const delayMs = Math.max(0, runAt.getTime() - Date.now());
+    job.timer = setTimeout(
+      () => (delayMs > MAX_TIMER_MS ? this.arm(job, runAt) : this.run(job, runAt)),
+      Math.min(delayMs, MAX_TIMER_MS)
+    );
   }
 
-  pauseSimulation(simulationId) {
-    const job = this.jobs.get(simulationId);
-    if (job) {
-      job.stop();
-      console.log(`⏸️ Paused simulation ${simulationId}`);
-      return true;
+  async run(job, scheduledAt) {
+    const { simulationId } = job;
+
+    // A tick started by a previous job for this simulation must finish first
+    await this.inFlight.get(simulationId);
+    if (this.jobs.get(simulationId) !== job) return;
+
+    const tick = Promise.resolve()
+      .then(() => job.onTick())
+      .catch(error => console.error(`❌ Scheduled tick failed for ${simulationId}:`, error.message));
+    this.inFlight.set(simulationId, tick);
+
+    try {
+      await tick;
+    } finally {
+      if (this.inFlight.get(simulationId) === tick) {
+        this.inFlight.delete(simulationId);
+      }
     }
-    return false;
+
+    this.arm(job, nextRunAfter(job.schedule, scheduledAt));
   }
 
-  stopSimulation(simulationId) {
+  /**
+   * Stops arming ticks. A tick already running finishes on its own.
+   */
+  stop(simulationId) {
     const job = this.jobs.get(simulationId);
-    if (job) {
-      job.stop();
-      job.destroy();
-      this.jobs.delete(simulationId);
-      console.log(`⏹️ Stopped and removed simulation ${simulationId}`);
-      return true;
-    }
-    return false;
+    if (!job) return false;
+
+    clearTimeout(job.timer);
+    this.jobs.delete(simulationId);
+    return true;
   }
 
-  isRunning(simulationId) {
+  isScheduled(simulationId) {
     return this.jobs.has(simulationId);
   }
 
+  isTickInProgress(simulationId) {
+    return this.inFlight.has(simulationId);
+  }
+
+  getNextRun(simulationId) {
+    return this.jobs.get(simulationId)?.nextRunAt || null;
+  }
+
   getAllActiveSimulations() {
     return Array.from(this.jobs.keys());
   }
@@ -0,0 +1,95 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+
+/**
+ * Encryption at rest for provider API keys.
+ *
+ * Keys are stored as `enc:v1:<iv>:<tag>:<ciphertext>` (AES-256-GCM, base64
+ * parts) under a master key derived from API_KEY_ENCRYPTION_KEY. Only the
+ * provider layer decrypts them; everything that leaves the server sees a
+ * fingerprint at most.
+ */
+const PREFIX = 'enc:v1:';
+const REDACTED = '[REDACTED]';
+
+function masterKey() {
+  const secret = process.env.API_KEY_ENCRYPTION_KEY;
+
+  if (!secret) {
+    throw new Error('API_KEY_ENCRYPTION_KEY environment variable is not set');
+  }
+
+  return createHash('sha256').update(secret).digest();
+}
+
+export function isEncryptionConfigured() {
+  return Boolean(process.env.API_KEY_ENCRYPTION_KEY);
+}
+
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypts a plaintext key. Empty keys stay null; encrypted keys pass through.
+ */
+export function encryptApiKey(apiKey) {
+  if (!apiKey) return null;
+  if (isEncrypted(apiKey)) return apiKey;
+
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', masterKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final()]);
+
+  return PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypts a stored key. Plaintext keys from before encryption are returned as-is.
+ */
+export function decryptApiKey(stored) {
+  if (!stored || !isEncrypted(stored)) return stored || null;
+
+  const [iv, tag, ciphertext] = stored.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = createDecipheriv('aes-256-gcm', masterKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Short, non-reversible identifier so callers can tell which key is configured
+ */
+export function fingerprintApiKey(stored) {
+  if (!stored) return null;
+
+  return createHash('sha256').update(decryptApiKey(stored)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Removes every occurrence of the given secrets from a message before it is logged or returned
+ */
+export function redactSecrets(text, secrets) {
+  let redacted = String(text);
+
+  for (const secret of secrets) {
+    if (secret) redacted = redacted.split(secret).join(REDACTED);
+  }
+
+  return redacted;
+}
+
+/**
+ * Copy of fork overrides with agent keys replaced, safe to store in lineage and return
+ */
+export function redactAgentOverrides(overrides = {}) {
+  if (!overrides.agents) return overrides;
+
+  const agents = Object.fromEntries(
+    Object.entries(overrides.agents).map(([agentId, values]) => [
+      agentId,
+      values?.apiKey ? { ...values, apiKey: REDACTED } : values
+    ])
+  );
+
+  return { ...overrides, agents };
+}
@@ -0,0 +1,85 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Publishes phase-level tick progress to live subscribers (SSE / WebSocket).
+ *
+ * Each simulation keeps a buffer of its most recent ticks so that clients can
+ * resume from the last tick or event they saw. Event ids have the form
+ * `<tick>:<sequence>` and increase monotonically within a simulation.
+ */
+export class TickStream {
+  constructor(bufferTicks = 20) {
+    this.bufferTicks = bufferTicks;
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.buffers = new Map();
+    this.sequences = new Map();
+  }
+
+  publish(simulationId, tick, type, data = {}) {
+    const sequence = this.sequences.get(simulationId) || 0;
+    this.sequences.set(simulationId, sequence + 1);
+
+    const event = {
+      id: `${tick}:${sequence}`,
+      simulationId,
+      tick,
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    const buffer = this.buffers.get(simulationId) || [];
+    buffer.push(event);
+
+    // Drop events older than the last `bufferTicks` ticks
+    const oldestKept = tick - this.bufferTicks + 1;
+    while (buffer.length > 0 && buffer[0].tick < oldestKept) {
+      buffer.shift();
+    }
+    this.buffers.set(simulationId, buffer);
+
+    this.emitter.emit(simulationId, event);
+    return event;
+  }
+
+  /**
+   * Returns buffered events after the given tick or event id
+   */
+  getBuffered(simulationId, { afterTick = null, afterEventId = null } = {}) {
+    const buffer = this.buffers.get(simulationId) || [];
+
+    if (afterEventId) {
+      const [tick, sequence] = afterEventId.split(':').map(Number);
+      return buffer.filter(e => {
+        const [eTick, eSequence] = e.id.split(':').map(Number);
+        return eTick > tick || (eTick === tick && eSequence > sequence);
+      });
+    }
+
+    if (afterTick !== null) {
+      return buffer.filter(e => e.tick > afterTick);
+    }
+
+    return [];
+  }
+
+  /**
+   * Oldest tick still held in the buffer, or null when nothing is buffered
+   */
+  getOldestBufferedTick(simulationId) {
+    const buffer = this.buffers.get(simulationId) || [];
+    return buffer.length > 0 ? buffer[0].tick : null;
+  }
+
+  subscribe(simulationId, listener) {
+    this.emitter.on(simulationId, listener);
+    return () => this.emitter.off(simulationId, listener);
+  }
+
+  subscriberCount(simulationId) {
+    return this.emitter.listenerCount(simulationId);
+  }
+}
+
+export const tickStream = new TickStream();